@@ -1,80 +1,58 @@
-const fs = require('fs');
-const path = require('path');
+/**
+ * Apply titles and order from _meta/chapter_order.md to chapter frontmatter
+ *
+ * Usage: node scripts/novels.js titles [--novel <name> | --all] [--dry-run | --check]
+ */
 
-const projectPath = 'projects/BlindOrbit';
-const orderFile = path.join(projectPath, '_meta/chapter_order.md');
-const chaptersDir = path.join(projectPath, 'chapters');
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter, stringifyFrontmatter } from './lib/frontmatter.js';
+import { parseChapterOrder, exitIfRunDirectly } from './lib/projects.js';
+import { createChangeSet } from './lib/changes.js';
 
-function parseChapterOrder(content) {
-    const lines = content.split('\n');
-    const mapping = [];
-    
-    // Regex for markdown table row: | 01 | `Chap_...` | Title | ...
-    // Matches: | (num) | `(filename)` | (title) |
-    const rowRegex = /\|\s*(\d+)\s*\|\s*`([^`]+)`\s*\|\s*([^|]+?)\s*\|/;
-    
-    for (const line of lines) {
-        const match = line.match(rowRegex);
-        if (match) {
-            mapping.push({
-                num: parseInt(match[1], 10),
-                filename: match[2].trim(),
-                title: match[3].trim()
-            });
-        }
-    }
-    return mapping;
-}
+exitIfRunDirectly(import.meta.url, 'titles');
 
-function updateChapter(mapping) {
+function updateChapter(chaptersDir, mapping, changes) {
     const filePath = path.join(chaptersDir, mapping.filename);
     
     if (!fs.existsSync(filePath)) {
         console.warn(`File not found: ${mapping.filename}`);
-        return;
+        return false;
     }
     
-    let content = fs.readFileSync(filePath, 'utf-8');
-    
-    // Frontmatter regex (relaxed for CRLF)
-    const fmRegex = /^---\r?\n([\s\S]*?)\r?\n---/;
-    const match = content.match(fmRegex);
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const parsed = parseFrontmatter(content);
     
-    if (match) {
-        let fm = match[1];
+    if (parsed.hasFrontmatter) {
+        // Update title and order, keeping every other field as written
+        const data = {
+            ...parsed.data,
+            title: mapping.title,
+            order: mapping.num * 10
+        };
         
-        // Update Title
-        if (/title:\s*".*"/.test(fm)) {
-            fm = fm.replace(/title:\s*".*"/, `title: "${mapping.title}"`);
-        } else if (/title:/.test(fm)) {
-            fm = fm.replace(/title:.*/, `title: "${mapping.title}"`);
-        } else {
-            fm += `\ntitle: "${mapping.title}"`;
-        }
+        const newContent = stringifyFrontmatter(data, parsed.body, parsed);
         
-        // Update Order
-        const order = mapping.num * 10;
-        if (/order:\s*\d+/.test(fm)) {
-            fm = fm.replace(/order:\s*\d+/, `order: ${order}`);
-        } else {
-            fm += `\norder: ${order}`;
-        }
-        
-        const newContent = content.replace(fmRegex, `---\n${fm}\n---`);
-        
-        if (newContent !== content) {
-            fs.writeFileSync(filePath, newContent, 'utf-8');
+        if (changes.write(filePath, content, newContent)) {
             console.log(`Updated ${mapping.filename}`);
-        } else {
-            console.log(`Skipped ${mapping.filename} (up to date)`);
+            return true;
         }
+        console.log(`Skipped ${mapping.filename} (up to date)`);
     } else {
         console.warn(`No frontmatter found in ${mapping.filename}`);
     }
+    return false;
 }
 
-const mdContent = fs.readFileSync(orderFile, 'utf-8');
-const mappings = parseChapterOrder(mdContent);
-
-console.log(`Found ${mappings.length} chapters in order file.`);
-mappings.forEach(updateChapter);
+export function applyTitles(project, { changes = createChangeSet() } = {}) {
+    if (!fs.existsSync(project.chapterOrderFile)) {
+        throw new Error(`Chapter order file not found: ${project.chapterOrderFile}`);
+    }
+    
+    const mdContent = fs.readFileSync(project.chapterOrderFile, 'utf-8');
+    // Only integer-numbered rows map to an order (e.g. "1.00" rows are skipped)
+    const mappings = parseChapterOrder(mdContent).filter(m => m.num !== null);
+    
+    console.log(`Found ${mappings.length} chapters in order file.`);
+    return mappings.filter(mapping => updateChapter(project.chaptersDir, mapping, changes)).length;
+}
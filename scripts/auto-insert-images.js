@@ -1,12 +1,12 @@
-#!/usr/bin/env node
 /**
  * Auto-insert images into chapters based on naming conventions
  *
- * Usage: node scripts/auto-insert-images.js [novel-name]
+ * Usage: node scripts/novels.js images [--novel <name> | --all] [--chapter <file>] [--dry-run | --check]
  *
  * Naming conventions for images in _assets/chapters/:
  *   {chapter}-cover.jpg         → Set as frontmatter cover
  *   {chapter}-scene-{desc}.jpg  → Insert into chapter content
+ *   {novel}_cover.jpg           → Appended to the end of every chapter
  *
  * Chapter matching:
  *   ch01  → matches Chap_01, chapter_01, etc.
@@ -18,11 +18,14 @@
  *   ch03-scene-meeting.jpg   → Inserts image in chapter 3
  */
 
-import { readdir, readFile, writeFile } from 'fs/promises';
-import { join, basename } from 'path';
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
 import { existsSync } from 'fs';
+import { parseFrontmatter, formatFrontmatter } from './lib/frontmatter.js';
+import { createChangeSet } from './lib/changes.js';
+import { exitIfRunDirectly } from './lib/projects.js';
 
-const PROJECTS_DIR = './projects';
+exitIfRunDirectly(import.meta.url, 'images');
 
 /**
  * Parse image filename to extract chapter number and type
@@ -40,6 +43,13 @@ function parseImageName(filename) {
   };
 }
 
+/**
+ * Check if an image is the novel cover (e.g. blind-orbit_cover.jpg)
+ */
+function isNovelCover(filename) {
+  return /_cover\.(jpg|jpeg|png|gif|webp)$/i.test(filename);
+}
+
 /**
  * Find chapter file by chapter number
  */
@@ -58,35 +68,6 @@ function findChapterFile(files, chapterNum) {
   return null;
 }
 
-/**
- * Parse markdown frontmatter
- */
-function parseMarkdown(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (match) {
-    const frontmatter = {};
-    match[1].split('\n').forEach(line => {
-      const colonIdx = line.indexOf(':');
-      if (colonIdx > 0) {
-        const key = line.substring(0, colonIdx).trim();
-        const value = line.substring(colonIdx + 1).trim().replace(/^["']|["']$/g, '');
-        frontmatter[key] = value;
-      }
-    });
-    return { frontmatter, body: match[2].trim(), raw: match[1] };
-  }
-  return { frontmatter: {}, body: content.trim(), raw: '' };
-}
-
-/**
- * Rebuild frontmatter string
- */
-function buildFrontmatter(frontmatter) {
-  const lines = Object.entries(frontmatter)
-    .map(([key, value]) => `${key}: "${value}"`);
-  return `---\n${lines.join('\n')}\n---`;
-}
-
 /**
  * Generate image alt text from description
  */
@@ -119,22 +100,26 @@ function insertSceneImage(body, imageRef) {
 }
 
 /**
- * Main function
+ * Insert images for one project
+ *
+ * @param {object} project - Project from selectProjects()
+ * @param {{ chapter?: string, changes?: object }} [options] - Limit to one chapter filename;
+ *   change set from createChangeSet() for dry runs
+ * @returns {Promise<number>} Number of chapters updated
  */
-async function main() {
-  const novelName = process.argv[2] || '2028ww3';
-  const assetsDir = join(PROJECTS_DIR, novelName, '_assets', 'chapters');
-  const chaptersDir = join(PROJECTS_DIR, novelName, 'chapters');
+export async function insertImages(project, { chapter: targetChapter, changes = createChangeSet() } = {}) {
+  const assetsDir = join(project.assetsDir, 'chapters');
+  const chaptersDir = project.chaptersDir;
 
   if (!existsSync(assetsDir)) {
     console.log(`No assets directory: ${assetsDir}`);
     console.log('Create the directory and add images first.');
-    return;
+    return 0;
   }
 
   if (!existsSync(chaptersDir)) {
     console.log(`No chapters directory: ${chaptersDir}`);
-    return;
+    return 0;
   }
 
   // Get all images
@@ -143,15 +128,13 @@ async function main() {
 
   if (imageFiles.length === 0) {
     console.log('No images found in assets directory.');
-    return;
+    return 0;
   }
 
   // Get all chapter files
   const chapterFiles = (await readdir(chaptersDir))
     .filter(f => f.endsWith('.md'));
 
-  // Optional: Filter by specific chapter if provided
-  const targetChapter = process.argv[3];
   if (targetChapter) {
     console.log(`Targeting specific chapter: ${targetChapter}`);
   }
@@ -161,7 +144,10 @@ async function main() {
 
   // Group images by chapter
   const imagesByChapter = new Map();
+  const novelCoverFilename = imageFiles.find(isNovelCover);
   for (const imageFile of imageFiles) {
+    if (imageFile === novelCoverFilename) continue;
+
     const parsed = parseImageName(imageFile);
     if (!parsed) {
       console.log(`⚠ Skipping (invalid name): ${imageFile}`);
@@ -184,7 +170,9 @@ async function main() {
 
     const chapterPath = join(chaptersDir, chapterFile);
     const content = await readFile(chapterPath, 'utf-8');
-    const { frontmatter, body } = parseMarkdown(content);
+    const parsed = parseFrontmatter(content);
+    const frontmatter = parsed.data;
+    const body = parsed.body.trim();
 
     let newFrontmatter = { ...frontmatter };
     let newBody = body;
@@ -217,30 +205,29 @@ async function main() {
     }
 
     // 2. Process Novel Cover (at the end)
-    const novelCoverFilename = 'blind-orbit_cover.jpg';
-    if (!newBody.includes(novelCoverFilename)) {
-      const coverRef = `\n\n---\n\n<img src="../_assets/chapters/${novelCoverFilename}" alt="Blind Orbit Cover" style="max-width: 90%; height: auto; display: block; margin: 2rem auto;">`;
+    if (novelCoverFilename && !newBody.includes(novelCoverFilename)) {
+      const coverAlt = `${project.config?.titleEn || project.name} Cover`;
+      const coverRef = `\n\n---\n\n<img src="../_assets/chapters/${novelCoverFilename}" alt="${coverAlt}" style="max-width: 90%; height: auto; display: block; margin: 2rem auto;">`;
       newBody = newBody.trim() + coverRef;
       modified = true;
       console.log(`✓ ${chapterFile}: Added novel cover to end`);
     }
 
     if (modified) {
-      const newContent = `${buildFrontmatter(newFrontmatter)}\n\n${newBody}`;
-      await writeFile(chapterPath, newContent);
-      updatedCount++;
+      const newContent = `${formatFrontmatter(newFrontmatter, parsed)}\n\n${newBody}`;
+      if (changes.write(chapterPath, content, newContent)) updatedCount++;
     }
   }
 
   console.log('');
   console.log(`Done! Updated ${updatedCount} chapter(s).`);
 
-  if (updatedCount > 0) {
+  if (updatedCount > 0 && changes.writes) {
     console.log('');
     console.log('Next steps:');
     console.log('1. Review the changes: git diff');
     console.log('2. Commit and push to trigger WordPress publish');
   }
-}
 
-main().catch(console.error);
+  return updatedCount;
+}
@@ -1,18 +1,21 @@
-#!/usr/bin/env node
 /**
  * Clean up chapters - remove agent writing metadata
  *
+ * Usage: node scripts/novels.js clean [--novel <name> | --all] [--dry-run | --check]
+ *
  * Removes:
  * - <metadata>...</metadata> blocks
  * - Empty lines left behind
  */
 
-import { readdir, readFile, writeFile } from 'fs/promises';
+import { readdir, readFile } from 'fs/promises';
 import { join } from 'path';
+import { createChangeSet } from './lib/changes.js';
+import { exitIfRunDirectly } from './lib/projects.js';
 
-const PROJECTS_DIR = './projects';
+exitIfRunDirectly(import.meta.url, 'clean');
 
-async function cleanChapter(filePath) {
+async function cleanChapter(filePath, changes) {
   let content = await readFile(filePath, 'utf-8');
   const original = content;
 
@@ -33,26 +36,21 @@ async function cleanChapter(filePath) {
   // Remove blank lines right after frontmatter
   content = content.replace(/(---\n)\n+/g, '$1\n');
 
-  if (content !== original) {
-    await writeFile(filePath, content);
-    return true;
-  }
-  return false;
+  return changes.write(filePath, original, content);
 }
 
-async function main() {
-  const novelName = process.argv[2] || '2028ww3';
-  const chaptersDir = join(PROJECTS_DIR, novelName, 'chapters');
+export async function cleanChapters(project, { changes = createChangeSet() } = {}) {
+  const chaptersDir = project.chaptersDir;
 
   const files = await readdir(chaptersDir);
   const mdFiles = files.filter(f => f.endsWith('.md'));
 
-  console.log(`Cleaning ${mdFiles.length} chapters...`);
+  console.log(`Cleaning ${mdFiles.length} chapters in ${project.name}...`);
 
   let cleanedCount = 0;
   for (const file of mdFiles) {
     const filePath = join(chaptersDir, file);
-    const wasModified = await cleanChapter(filePath);
+    const wasModified = await cleanChapter(filePath, changes);
     if (wasModified) {
       console.log(`  ✓ Cleaned: ${file}`);
       cleanedCount++;
@@ -60,6 +58,5 @@ async function main() {
   }
 
   console.log(`\nDone! ${cleanedCount} files cleaned.`);
+  return cleanedCount;
 }
-
-main().catch(console.error);
@@ -0,0 +1,531 @@
+/**
+ * Export a novel as an EPUB 3 book
+ *
+ * Usage: node scripts/novels.js epub [--novel <name> | --all] [--output <file>] [--drafts]
+ *
+ * - Chapters follow _meta/chapter_order.md, grouped by the novel's `parts`
+ *   (each part gets a title page and a nav section; chapters outside any
+ *   part come last). Drafts and unreleased chapters are left out unless
+ *   --drafts is given
+ * - Chapters are rendered with the site's Markdown pipeline (lib/markdown.js),
+ *   minus the plugins that link back to the site (glossary tooltips,
+ *   responsive image variants), and serialized as XHTML; images from
+ *   _assets/ are embedded
+ * - Metadata comes from novels.config.json; the optional `epub` entry sets
+ *   the cover (a path under _assets/, else `coverUrl` is downloaded) and
+ *   appendices (Markdown files relative to the project directory):
+ *
+ *     "epub": { "cover": "covers/book.jpg", "appendices": ["_meta/military_terminology_glossary.md"] }
+ *
+ * The package is checked structurally before it is written (manifest,
+ * spine and internal links), and defaults to dist/{project}.epub.
+ */
+
+import { readFile, readdir, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { basename, dirname, extname, join, posix, relative } from 'path';
+import { parseFrontmatter } from './lib/frontmatter.js';
+import { PROJECT_ROOT, importFromSite, loadConfig, readChapterOrder, exitIfRunDirectly } from './lib/projects.js';
+import { convertAssetPaths, renderMarkdown } from './lib/markdown.js';
+import { isReleased } from './lib/release.js';
+import { createZip } from './lib/zip.js';
+
+exitIfRunDirectly(import.meta.url, 'epub');
+
+const LANGUAGE = 'zh-TW';
+
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.8; margin: 0 1em; }
+h1, h2, h3 { font-family: sans-serif; line-height: 1.4; }
+h1 { text-align: center; margin: 2em 0 1.5em; }
+img { max-width: 100%; height: auto; }
+hr { border: none; border-top: 1px solid #999; margin: 2em 20%; }
+blockquote { margin: 1em 1.5em; color: #444; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #999; padding: 0.25em 0.5em; }
+.cover { text-align: center; margin: 0; }
+.title-page, .part-page { text-align: center; margin-top: 25%; }
+.title-page .subtitle, .title-page .author { margin-top: 1em; }
+`;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize parse5 nodes as XHTML (self-closed void elements, every
+ * attribute with a value, comments dropped)
+ *
+ * @param {(node: object) => object} [transform] - May rewrite an element's attrs
+ */
+function serializeXhtml(nodes, transform = node => node, inSvg = false) {
+  return nodes.map(original => {
+    if (original.nodeName === '#text') return escapeXml(original.value);
+    if (!original.tagName) return '';
+
+    const node = transform(original);
+    const isSvg = node.namespaceURI === SVG_NAMESPACE;
+    const attrs = node.attrs.map(({ name, value }) => ` ${name}="${escapeXml(value)}"`);
+    if (isSvg && !inSvg) attrs.unshift(` xmlns="${SVG_NAMESPACE}"`);
+
+    const children = node.tagName === 'template' ? node.content.childNodes : node.childNodes;
+    if (VOID_ELEMENTS.has(node.tagName) || (isSvg && children.length === 0)) {
+      return `<${node.tagName}${attrs.join('')} />`;
+    }
+    return `<${node.tagName}${attrs.join('')}>${serializeXhtml(children, transform, isSvg)}</${node.tagName}>`;
+  }).join('');
+}
+
+/**
+ * A complete XHTML content document
+ */
+function xhtmlDocument(title, body, { stylesheet = '../styles.css', bodyType } = {}) {
+  const type = bodyType ? ` epub:type="${bodyType}"` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${LANGUAGE}" xml:lang="${LANGUAGE}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheet}" />
+</head>
+<body${type}>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Stable urn:uuid for a novel (name-based, so re-exports keep the identifier)
+ */
+function bookIdentifier(novel) {
+  const hex = createHash('sha1').update(`novels365:${novel.slug}`).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Collects the images a book embeds, keyed by source file
+ */
+function createImageRegistry() {
+  const images = new Map();
+
+  return {
+    images,
+    /**
+     * @returns {string} Path of the image inside OEBPS/
+     */
+    add(sourcePath, data, name = relative(PROJECT_ROOT, sourcePath)) {
+      if (!images.has(sourcePath)) {
+        const ext = extname(sourcePath).toLowerCase();
+        images.set(sourcePath, {
+          id: `img-${images.size + 1}`,
+          href: `images/${images.size + 1}${ext}`,
+          mediaType: MEDIA_TYPES[ext],
+          name,
+          data,
+        });
+      }
+      return images.get(sourcePath).href;
+    },
+  };
+}
+
+/**
+ * Render chapter or appendix Markdown to XHTML body markup, embedding the
+ * `_assets/` images it references
+ */
+async function renderBody(markdown, project, registry) {
+  const { parseFragment } = await importFromSite('parse5');
+  const html = await renderMarkdown(convertAssetPaths(markdown, project.name), { standalone: true });
+  const assetPrefix = `/assets/${project.name}/`;
+
+  const transform = node => {
+    if (node.tagName !== 'img') return node;
+
+    const src = node.attrs.find(attr => attr.name === 'src');
+    if (!src?.value.startsWith(assetPrefix)) return node;
+
+    const path = join(project.assetsDir, decodeURI(src.value.slice(assetPrefix.length)));
+    if (!existsSync(path) || !MEDIA_TYPES[extname(path).toLowerCase()]) {
+      console.log(`  ⚠ Image not found: ${src.value}`);
+      return node;
+    }
+
+    const href = registry.add(path, null);
+    const attrs = node.attrs.map(attr => (attr.name === 'src' ? { name: 'src', value: `../${href}` } : attr));
+    if (!attrs.some(attr => attr.name === 'alt')) attrs.push({ name: 'alt', value: '' });
+    return { ...node, attrs };
+  };
+
+  return serializeXhtml(parseFragment(html).childNodes, transform);
+}
+
+/**
+ * Cover image: `epub.cover` under _assets/, else the novel's coverUrl
+ *
+ * @returns {Promise<{ path: string, data: Buffer } | null>}
+ */
+async function loadCover(project, novel) {
+  const cover = novel.epub?.cover;
+  if (cover) {
+    const path = join(project.assetsDir, cover);
+    if (existsSync(path)) return { path, data: await readFile(path) };
+    console.log(`  ⚠ Cover not found: ${cover}`);
+    return null;
+  }
+
+  if (!novel.coverUrl) return null;
+
+  try {
+    const response = await fetch(novel.coverUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const type = response.headers.get('content-type')?.split(';')[0];
+    const ext = Object.keys(MEDIA_TYPES).find(key => MEDIA_TYPES[key] === type);
+    if (!ext) throw new Error(`unsupported type ${type}`);
+
+    return { path: `cover${ext}`, data: Buffer.from(await response.arrayBuffer()) };
+  } catch (error) {
+    console.log(`  ⚠ Could not download cover (${error.message}); set "epub.cover" to use a local file`);
+    return null;
+  }
+}
+
+/**
+ * Chapter files in reading order, grouped like the site's table of contents
+ *
+ * @returns {Promise<{ part: object | null, files: string[] }[]>}
+ */
+async function getSections(project, novel, { drafts }) {
+  const existing = new Set((await readdir(project.chaptersDir)).filter(file => file.endsWith('.md')));
+
+  const listed = (await readChapterOrder(project)).map(row => row.filename).filter(file => existing.has(file));
+  const unlisted = [...existing].filter(file => !listed.includes(file)).sort();
+  if (unlisted.length > 0) {
+    console.log(`  ⚠ Not in chapter_order.md (added at the end): ${unlisted.join(', ')}`);
+  }
+
+  const order = [];
+  for (const file of [...new Set(listed), ...unlisted]) {
+    const { data } = parseFrontmatter(await readFile(join(project.chaptersDir, file), 'utf-8'));
+    if (drafts || isReleased(data)) order.push(file);
+  }
+
+  const parts = novel.parts || [];
+  const findPart = file => parts.find(part => part.chapters.includes(file)) || null;
+
+  return [
+    ...parts.map(part => ({ part, files: order.filter(file => findPart(file) === part) })),
+    { part: null, files: order.filter(file => findPart(file) === null) },
+  ].filter(section => section.files.length > 0);
+}
+
+function firstHeading(markdown) {
+  return markdown.match(/^#\s+(.+?)\s*#*\s*$/m)?.[1] ?? null;
+}
+
+/**
+ * Structural checks in the spirit of epubcheck: mimetype first and stored,
+ * container → package, every manifest item present and every file listed,
+ * unique IDs, spine → manifest, and internal links resolving to manifest items
+ *
+ * @param {{ name: string, data: string | Buffer, store?: boolean }[]} entries
+ *   Archive entries in order, as passed to createZip()
+ * @returns {string[]} Problems found
+ */
+export function checkPackage(entries) {
+  const problems = [];
+  const files = new Map(entries.map(entry => [entry.name, entry]));
+
+  if (entries[0]?.name !== 'mimetype' || !entries[0].store || entries[0].data !== 'application/epub+zip') {
+    problems.push('mimetype must be the first, uncompressed entry');
+  }
+  const opfPath = String(files.get('META-INF/container.xml')?.data ?? '').match(/full-path="([^"]+)"/)?.[1];
+  if (!opfPath || !files.has(opfPath)) {
+    problems.push('container.xml does not point to the package document');
+    return problems;
+  }
+  const opf = String(files.get(opfPath).data);
+
+  const opfDir = posix.dirname(opfPath);
+  const items = [...opf.matchAll(/<item id="([^"]+)" href="([^"]+)" media-type="([^"]+)"/g)]
+    .map(([, id, href, mediaType]) => ({ id, href: decodeURI(href), mediaType, path: posix.join(opfDir, decodeURI(href)) }));
+
+  const ids = items.map(item => item.id);
+  for (const id of ids.filter((id, index) => ids.indexOf(id) !== index)) problems.push(`duplicate manifest id ${id}`);
+
+  for (const item of items) {
+    if (!files.has(item.path)) problems.push(`manifest item missing from the archive: ${item.href}`);
+  }
+  const manifestPaths = new Set(items.map(item => item.path));
+  for (const name of files.keys()) {
+    if (!['mimetype', 'META-INF/container.xml', opfPath].includes(name) && !manifestPaths.has(name)) {
+      problems.push(`file not in the manifest: ${name}`);
+    }
+  }
+
+  for (const [, idref] of opf.matchAll(/<itemref idref="([^"]+)"/g)) {
+    if (!ids.includes(idref)) problems.push(`spine references unknown item ${idref}`);
+  }
+  if (!/<item [^>]*properties="nav"/.test(opf)) {
+    problems.push('no navigation document');
+  }
+
+  for (const item of items.filter(i => i.mediaType === 'application/xhtml+xml' || i.mediaType === 'text/css')) {
+    const content = files.get(item.path)?.data ?? '';
+    for (const [, target] of content.matchAll(/\b(?:src|href)="([^"#][^"]*)"/g)) {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(target)) continue;
+      const path = posix.join(posix.dirname(item.path), decodeURI(target.split('#')[0]));
+      if (!manifestPaths.has(path)) problems.push(`${item.href} links to ${target}, which is not in the manifest`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Build the archive entries of a project's EPUB
+ *
+ * @param {{ drafts?: boolean }} [options]
+ * @returns {Promise<{ entries: object[], chapterCount: number, imageCount: number }>}
+ */
+export async function buildEpub(project, { drafts = false } = {}) {
+  const config = await loadConfig();
+  const novel = project.config;
+  if (!novel) {
+    throw new Error(`${project.name} has no novels.config.json entry`);
+  }
+
+  const registry = createImageRegistry();
+  const documents = [];  // { id, href, title, content, properties? }
+  const navSections = [];
+
+  // Cover and title page
+  const cover = await loadCover(project, novel);
+  if (cover) {
+    const href = registry.add(cover.path, cover.data, 'cover');
+    documents.push({
+      id: 'cover',
+      href: 'text/cover.xhtml',
+      title: '封面',
+      content: xhtmlDocument(novel.title, `<figure class="cover"><img src="../${href}" alt="${escapeXml(novel.title)}" /></figure>`, { bodyType: 'cover' }),
+    });
+  }
+
+  const author = novel.author || config.site.author;
+  documents.push({
+    id: 'title-page',
+    href: 'text/title.xhtml',
+    title: novel.title,
+    content: xhtmlDocument(novel.title, [
+      '<section class="title-page" epub:type="titlepage">',
+      `<h1>${escapeXml(novel.title)}</h1>`,
+      novel.titleEn && `<p class="subtitle">${escapeXml(novel.titleEn)}</p>`,
+      author && `<p class="author">${escapeXml(author)}</p>`,
+      novel.description && `<p>${escapeXml(novel.description)}</p>`,
+      '</section>',
+    ].filter(Boolean).join('\n')),
+  });
+
+  // Parts and chapters
+  let chapterCount = 0;
+  for (const [partIndex, { part, files }] of (await getSections(project, novel, { drafts })).entries()) {
+    const chapters = [];
+
+    for (const file of files) {
+      const { data, body } = parseFrontmatter(await readFile(join(project.chaptersDir, file), 'utf-8'));
+      const title = data.title || basename(file, '.md');
+      const html = await renderBody(body.trim(), project, registry);
+      chapterCount++;
+
+      const chapter = {
+        id: `chapter-${String(chapterCount).padStart(3, '0')}`,
+        href: `text/chapter-${String(chapterCount).padStart(3, '0')}.xhtml`,
+        title,
+      };
+      chapter.content = xhtmlDocument(title, `<section epub:type="chapter">\n<h1>${escapeXml(title)}</h1>\n${html}\n</section>`, { bodyType: 'bodymatter' });
+      chapters.push(chapter);
+    }
+
+    if (part) {
+      const partPage = {
+        id: `part-${partIndex + 1}`,
+        href: `text/part-${partIndex + 1}.xhtml`,
+        title: part.title,
+        content: xhtmlDocument(part.title, [
+          '<section class="part-page" epub:type="part">',
+          `<h1>${escapeXml(part.title)}</h1>`,
+          part.description && `<p>${escapeXml(part.description)}</p>`,
+          '</section>',
+        ].filter(Boolean).join('\n'), { bodyType: 'bodymatter' }),
+      };
+      documents.push(partPage, ...chapters);
+      navSections.push({ entry: partPage, children: chapters });
+    } else {
+      documents.push(...chapters);
+      navSections.push(...chapters.map(chapter => ({ entry: chapter, children: [] })));
+    }
+  }
+
+  if (chapterCount === 0) {
+    throw new Error(`${project.name} has no released chapters to export (use --drafts to include drafts)`);
+  }
+
+  // Appendices
+  for (const [index, path] of (novel.epub?.appendices || []).entries()) {
+    const file = join(project.dir, path);
+    if (!existsSync(file)) {
+      console.log(`  ⚠ Appendix not found: ${path}`);
+      continue;
+    }
+
+    const { body } = parseFrontmatter(await readFile(file, 'utf-8'));
+    const heading = firstHeading(body);
+    const title = heading || basename(path, extname(path));
+    const html = await renderBody(body.trim(), project, registry);
+    const appendix = {
+      id: `appendix-${index + 1}`,
+      href: `text/appendix-${index + 1}.xhtml`,
+      title,
+      content: xhtmlDocument(title, `<section epub:type="appendix">\n${heading ? '' : `<h1>${escapeXml(title)}</h1>\n`}${html}\n</section>`, { bodyType: 'backmatter' }),
+    };
+    documents.push(appendix);
+    navSections.push({ entry: appendix, children: [] });
+  }
+
+  // Navigation document
+  const navLink = doc => `<a href="${doc.href}">${escapeXml(doc.title)}</a>`;
+  const tocItems = navSections.map(({ entry, children }) => (children.length > 0
+    ? `<li>${navLink(entry)}\n<ol>\n${children.map(child => `<li>${navLink(child)}</li>`).join('\n')}\n</ol>\n</li>`
+    : `<li>${navLink(entry)}</li>`));
+  const firstChapter = documents.find(doc => doc.id.startsWith('chapter-') || doc.id.startsWith('part-'));
+  const landmarks = [
+    cover && '<li><a epub:type="cover" href="text/cover.xhtml">封面</a></li>',
+    '<li><a epub:type="toc" href="nav.xhtml">目錄</a></li>',
+    `<li><a epub:type="bodymatter" href="${firstChapter.href}">正文</a></li>`,
+  ].filter(Boolean);
+  const nav = xhtmlDocument('目錄', [
+    '<nav epub:type="toc" id="toc">',
+    '<h1>目錄</h1>',
+    `<ol>\n${tocItems.join('\n')}\n</ol>`,
+    '</nav>',
+    '<nav epub:type="landmarks" id="landmarks" hidden="hidden">',
+    `<ol>\n${landmarks.join('\n')}\n</ol>`,
+    '</nav>',
+  ].join('\n'), { stylesheet: 'styles.css' });
+
+  // Images referenced while rendering were registered without data
+  for (const [path, image] of registry.images) {
+    if (!image.data) image.data = await readFile(path);
+  }
+  const coverImage = cover && registry.images.get(cover.path);
+
+  // Package document
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '<item id="css" href="styles.css" media-type="text/css" />',
+    ...documents.map(doc => `<item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml" />`),
+    ...[...registry.images.values()].map(image => {
+      const properties = image === coverImage ? ' properties="cover-image"' : '';
+      return `<item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"${properties} />`;
+    }),
+  ];
+  const spine = [
+    ...documents.slice(0, documents.indexOf(firstChapter)).map(doc => `<itemref idref="${doc.id}" />`),
+    '<itemref idref="nav" />',
+    ...documents.slice(documents.indexOf(firstChapter)).map(doc => `<itemref idref="${doc.id}" />`),
+  ];
+  const metadata = [
+    `<dc:identifier id="book-id">${bookIdentifier(novel)}</dc:identifier>`,
+    `<dc:title>${escapeXml(novel.title)}</dc:title>`,
+    `<dc:language>${LANGUAGE}</dc:language>`,
+    author && `<dc:creator>${escapeXml(author)}</dc:creator>`,
+    `<dc:publisher>${escapeXml(config.site.name)}</dc:publisher>`,
+    novel.description && `<dc:description>${escapeXml(novel.description)}</dc:description>`,
+    ...[novel.genre, ...(novel.tags || [])].filter(Boolean).map(tag => `<dc:subject>${escapeXml(tag)}</dc:subject>`),
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    coverImage && `<meta name="cover" content="${coverImage.id}" />`,
+  ].filter(Boolean);
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${LANGUAGE}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+${spine.join('\n')}
+</spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`;
+
+  const entries = [
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/styles.css', data: STYLESHEET },
+    ...documents.map(doc => ({ name: `OEBPS/${doc.href}`, data: doc.content })),
+    // Images are already compressed
+    ...[...registry.images.values()].map(image => ({ name: `OEBPS/${image.href}`, data: image.data, store: true })),
+  ];
+
+  return { entries, chapterCount, imageCount: registry.images.size };
+}
+
+/**
+ * Build the EPUB for one project, check it and write it
+ *
+ * @param {{ output?: string, drafts?: boolean }} [options]
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function exportEpub(project, { output, drafts = false } = {}) {
+  console.log(`Exporting ${project.name} as EPUB...`);
+  const { entries, chapterCount, imageCount } = await buildEpub(project, { drafts });
+
+  const problems = checkPackage(entries);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.log(`  ✗ ${problem}`));
+    throw new Error(`EPUB structure check failed with ${problems.length} problem(s)`);
+  }
+
+  const outputPath = output || join(PROJECT_ROOT, 'dist', `${project.name}.epub`);
+  await mkdir(dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, createZip(entries));
+
+  console.log(`  ✓ ${chapterCount} chapters, ${imageCount} images`);
+  console.log(`Done! Wrote ${relative(process.cwd(), outputPath) || outputPath}`);
+  return outputPath;
+}
@@ -1,17 +1,21 @@
-#!/usr/bin/env node
 /**
  * Fix chapter titles - extract from H1 heading and update frontmatter
  *
- * This script:
+ * Usage: node scripts/novels.js titles --from-h1 [--novel <name> | --all] [--dry-run | --check]
+ *
+ * This command:
  * 1. Reads the first H1 heading from each chapter
  * 2. Updates the frontmatter title field
  * 3. Optionally removes the H1 from content (to avoid duplication)
  */
 
-import { readdir, readFile, writeFile } from 'fs/promises';
+import { readdir, readFile } from 'fs/promises';
 import { join } from 'path';
+import { parseFrontmatter, formatFrontmatter } from './lib/frontmatter.js';
+import { createChangeSet } from './lib/changes.js';
+import { exitIfRunDirectly } from './lib/projects.js';
 
-const PROJECTS_DIR = './projects';
+exitIfRunDirectly(import.meta.url, 'titles --from-h1');
 
 /**
  * Extract title from first H1 heading
@@ -34,39 +38,6 @@ function extractH1Title(content) {
   return null;
 }
 
-/**
- * Parse frontmatter
- */
-function parseFrontmatter(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (match) {
-    const frontmatter = {};
-    match[1].split('\n').forEach(line => {
-      const colonIdx = line.indexOf(':');
-      if (colonIdx > 0) {
-        const key = line.substring(0, colonIdx).trim();
-        const value = line.substring(colonIdx + 1).trim().replace(/^["']|["']$/g, '');
-        frontmatter[key] = value;
-      }
-    });
-    return { frontmatter, body: match[2].trim(), hasFrontmatter: true };
-  }
-  return { frontmatter: {}, body: content.trim(), hasFrontmatter: false };
-}
-
-/**
- * Build frontmatter string
- */
-function buildFrontmatter(obj) {
-  const lines = Object.entries(obj).map(([key, value]) => {
-    if (typeof value === 'number') return `${key}: ${value}`;
-    // Escape quotes in value
-    const escaped = String(value).replace(/"/g, '\\"');
-    return `${key}: "${escaped}"`;
-  });
-  return `---\n${lines.join('\n')}\n---`;
-}
-
 /**
  * Get chapter order from filename
  */
@@ -78,9 +49,8 @@ function getChapterOrder(filename) {
   return mainNum * 10 + subNum;
 }
 
-async function main() {
-  const novelName = process.argv[2] || '2028ww3';
-  const chaptersDir = join(PROJECTS_DIR, novelName, 'chapters');
+export async function fixChapterTitles(project, { changes = createChangeSet() } = {}) {
+  const chaptersDir = project.chaptersDir;
 
   const files = await readdir(chaptersDir);
   const mdFiles = files.filter(f => f.endsWith('.md'));
@@ -92,7 +62,9 @@ async function main() {
     const filePath = join(chaptersDir, file);
     const content = await readFile(filePath, 'utf-8');
 
-    const { frontmatter, body, hasFrontmatter } = parseFrontmatter(content);
+    const parsed = parseFrontmatter(content);
+    const frontmatter = parsed.data;
+    const body = parsed.body.trim();
     const h1Title = extractH1Title(body);
 
     if (!h1Title) {
@@ -105,22 +77,18 @@ async function main() {
       continue; // Already correct
     }
 
-    // Update frontmatter
+    // Update frontmatter, keeping all other fields
     const newFrontmatter = {
+      ...frontmatter,
       title: h1Title,
       order: getChapterOrder(file),
     };
 
-    // Preserve cover fields
-    if (frontmatter.cover) newFrontmatter.cover = frontmatter.cover;
-    if (frontmatter.cover_url) newFrontmatter.cover_url = frontmatter.cover_url;
-    if (frontmatter.cover_media_id) newFrontmatter.cover_media_id = frontmatter.cover_media_id;
-
     // Remove the H1 from body to avoid duplication (title shows in layout)
     const bodyWithoutH1 = body.replace(/^#\s+.+\n+/, '').trim();
 
-    const newContent = `${buildFrontmatter(newFrontmatter)}\n\n${bodyWithoutH1}`;
-    await writeFile(filePath, newContent);
+    const newContent = `${formatFrontmatter(newFrontmatter, parsed)}\n\n${bodyWithoutH1}`;
+    changes.write(filePath, content, newContent);
 
     console.log(`  ✓ ${file}`);
     console.log(`    → ${h1Title}`);
@@ -128,6 +96,5 @@ async function main() {
   }
 
   console.log(`\nDone! Fixed ${fixedCount} chapter titles.`);
+  return fixedCount;
 }
-
-main().catch(console.error);
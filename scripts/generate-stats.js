@@ -1,24 +1,23 @@
-#!/usr/bin/env node
 /**
  * Generate novel statistics (chapter count, word count)
  *
- * Usage: node scripts/generate-stats.js
+ * Usage: node scripts/novels.js stats [--novel <name> | --all]
  *
- * Outputs: site/src/data/novels-stats.json
+ * Outputs: site/src/data/novels-stats.json (entries for other novels are kept)
+ *
+ * Only released chapters are counted (see lib/release.js), matching the site.
  */
 
 import { readdir, readFile, writeFile, mkdir } from 'fs/promises';
-import { join, dirname } from 'path';
+import { join } from 'path';
 import { existsSync } from 'fs';
-import { fileURLToPath } from 'url';
+import { SITE_DIR, exitIfRunDirectly } from './lib/projects.js';
+import { parseFrontmatter } from './lib/frontmatter.js';
+import { isReleased } from './lib/release.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const PROJECT_ROOT = join(__dirname, '..');
+exitIfRunDirectly(import.meta.url, 'stats');
 
-const CONFIG_PATH = join(PROJECT_ROOT, 'novels.config.json');
-const PROJECTS_DIR = join(PROJECT_ROOT, 'projects');
-const OUTPUT_DIR = join(PROJECT_ROOT, 'site/src/data');
+const OUTPUT_DIR = join(SITE_DIR, 'src/data');
 const OUTPUT_PATH = join(OUTPUT_DIR, 'novels-stats.json');
 
 // Count Chinese characters (exclude punctuation, spaces, markdown)
@@ -44,18 +43,20 @@ function countChineseWords(text) {
   return cjkMatch ? cjkMatch.length : 0;
 }
 
-async function generateStats() {
-  // Read config
-  const config = JSON.parse(await readFile(CONFIG_PATH, 'utf-8'));
-
-  const stats = {};
+export async function generateStats(projects) {
+  // Keep stats of novels outside this selection
+  const stats = existsSync(OUTPUT_PATH)
+    ? JSON.parse(await readFile(OUTPUT_PATH, 'utf-8'))
+    : {};
 
-  for (const novel of config.novels) {
-    const chaptersDir = join(PROJECTS_DIR, novel.slug, 'chapters');
+  for (const project of projects) {
+    // Stats are keyed by config slug, which can differ from the directory (2028ww3 → BlindOrbit)
+    const key = project.config?.slug || project.name;
+    const chaptersDir = project.chaptersDir;
 
     if (!existsSync(chaptersDir)) {
-      console.warn(`Warning: ${chaptersDir} not found, skipping ${novel.slug}`);
-      stats[novel.slug] = { chapters: 0, words: 0, wordsFormatted: '0' };
+      console.warn(`Warning: ${chaptersDir} not found, skipping ${key}`);
+      stats[key] = { chapters: 0, words: 0, wordsFormatted: '0' };
       continue;
     }
 
@@ -63,10 +64,13 @@ async function generateStats() {
     const mdFiles = files.filter(f => f.endsWith('.md'));
 
     let totalWords = 0;
+    let chapterCount = 0;
 
     for (const file of mdFiles) {
       const content = await readFile(join(chaptersDir, file), 'utf-8');
+      if (!isReleased(parseFrontmatter(content).data)) continue;
       totalWords += countChineseWords(content);
+      chapterCount++;
     }
 
     // Format word count
@@ -79,13 +83,13 @@ async function generateStats() {
       wordsFormatted = totalWords.toString();
     }
 
-    stats[novel.slug] = {
-      chapters: mdFiles.length,
+    stats[key] = {
+      chapters: chapterCount,
       words: totalWords,
       wordsFormatted,
     };
 
-    console.log(`${novel.slug}: ${mdFiles.length} chapters, ${totalWords} words (${wordsFormatted})`);
+    console.log(`${key}: ${mdFiles.length} chapters, ${totalWords} words (${wordsFormatted})`);
   }
 
   // Ensure output directory exists
@@ -97,5 +101,3 @@ async function generateStats() {
 
   return stats;
 }
-
-generateStats().catch(console.error);
@@ -0,0 +1,185 @@
+/**
+ * Collect chapter rewrites so mutating commands can preview them
+ *
+ * Modes:
+ * - write:   write changed files (default)
+ * - dry-run: print a unified diff per changed file, write nothing
+ * - check:   list changed files, write nothing; the CLI exits 1 if any
+ */
+
+import { writeFileSync } from 'fs';
+import { relative } from 'path';
+import { PROJECT_ROOT } from './projects.js';
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Line-level edit script between two texts (LCS over the differing middle)
+ *
+ * @returns {{ type: ' ' | '-' | '+', line: string }[]}
+ */
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      ops.push({ type: '-', line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: b[j] });
+      j++;
+    }
+  }
+  ops.push(...oldLines.slice(oldEnd).map(line => ({ type: ' ', line })));
+
+  return ops;
+}
+
+/**
+ * Split text into lines, marking a missing final newline like diff(1) does
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += '\n\\ No newline at end of file';
+  }
+  return lines;
+}
+
+/**
+ * Render a unified diff (git-style headers, 3 lines of context)
+ */
+export function unifiedDiff(oldText, newText, label) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const output = [`--- a/${label}`, `+++ b/${label}`];
+
+  // Line numbers before each op
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = ops.map(op => {
+    const position = { oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return position;
+  });
+
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type === ' ') {
+      index++;
+      continue;
+    }
+
+    // Extend the hunk while changes are within 2 * context of each other
+    const hunkStart = Math.max(0, index - CONTEXT_LINES);
+    let hunkEnd = index;
+    let lastChange = index;
+    while (hunkEnd < ops.length && hunkEnd - lastChange <= CONTEXT_LINES * 2 + 1) {
+      if (ops[hunkEnd].type !== ' ') lastChange = hunkEnd;
+      hunkEnd++;
+    }
+    hunkEnd = Math.min(ops.length, lastChange + CONTEXT_LINES + 1);
+
+    const hunk = ops.slice(hunkStart, hunkEnd);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const { oldLine: oldStart, newLine: newStart } = positions[hunkStart];
+
+    output.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    output.push(...hunk.map(op => `${op.type}${op.line}`));
+
+    index = hunkEnd;
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Create a change set for one command run
+ *
+ * @param {{ dryRun?: boolean, check?: boolean }} [options]
+ */
+export function createChangeSet({ dryRun = false, check = false } = {}) {
+  const changedFiles = [];
+  const writes = !dryRun && !check;
+
+  return {
+    /** True when files are written to disk */
+    writes,
+
+    /**
+     * Write `updated` to `filePath` if it differs from `original`
+     *
+     * @returns {boolean} Whether the file changed (or would change)
+     */
+    write(filePath, original, updated) {
+      if (original === updated) return false;
+
+      const label = relative(PROJECT_ROOT, filePath).split('\\').join('/');
+      changedFiles.push(label);
+
+      if (writes) {
+        writeFileSync(filePath, updated, 'utf-8');
+      } else if (dryRun) {
+        console.log(unifiedDiff(original, updated, label));
+      }
+      return true;
+    },
+
+    get changedFiles() {
+      return changedFiles;
+    },
+
+    /**
+     * Print what changed (or would change) across the whole run
+     */
+    printSummary() {
+      if (writes) return;
+
+      console.log('');
+      if (changedFiles.length === 0) {
+        console.log('No changes pending.');
+        return;
+      }
+
+      console.log(`${changedFiles.length} file(s) would change (nothing written):`);
+      for (const file of changedFiles) {
+        console.log(`  ${file}`);
+      }
+    },
+  };
+}
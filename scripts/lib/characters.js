@@ -0,0 +1,223 @@
+/**
+ * Character profiles from _characters/character_master.md
+ *
+ * Two profile layouts are recognised:
+ *
+ *   ### 1. 亞洲戰場：林子修 (Lin, Tzu-Hsiu)      a heading per character,
+ *   - **代號**：Skywatcher                       fields as top-level bullets
+ *   - **特徵與缺陷 (Flaw)**：
+ *     - **耳鳴**：…                              nested bullets are field items
+ *
+ *   ### 1. 亞洲戰場 (Asia Theater)              a section heading, then
+ *   - **柯大勇 上尉 (Captain Ko, Da-Yung)**     one bold bullet per character
+ *     - *身份*：陸軍機步 269 旅 連長 / 代號「黑熊」。
+ *
+ * `##` headings group the cast (主角群, 配角群, …). Besides the raw fields,
+ * each profile gets `codename`, `role` (身份) and `flaws`, plus `names`: the
+ * spellings a chapter POV may use (full name, name with rank, given name,
+ * romanisation, codename, 外號, 真實身份 and an optional 別名 field).
+ *
+ * `novels.js sync` writes the profiles of every synced project to
+ * site/src/data/characters.json, the source of the site's `characters`
+ * collection.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { SITE_DIR } from './projects.js';
+import { toPlainText } from './markdown.js';
+
+export const CHARACTERS_DATA_PATH = join(SITE_DIR, 'src/data/characters.json');
+
+// `- **Label**：value` or `- *Label*: value`
+const FIELD_REGEX = /^(\s*)[-*+]\s+(\*\*?)([^*]+?)\2\s*[:：]\s*(.*)$/;
+// `- **Name (Romanisation)**` on its own
+const NAME_BULLET_REGEX = /^[-*+]\s+\*\*([^*]+)\*\*\s*$/;
+const BULLET_REGEX = /^(\s*)[-*+]\s+(.*)$/;
+
+const ENGLISH_TITLES = /^(?:Lt\.\s*Col\.|Col\.|Captain|Colonel|General|Chief|Dr\.|Legislator)\s+/i;
+
+export function getCharactersPath(project) {
+  return join(project.dir, '_characters', 'character_master.md');
+}
+
+/**
+ * URL slug: the Latin name or romanisation (without English ranks), else the name
+ */
+function characterSlug(name, romanization) {
+  const latin = [romanization?.replace(ENGLISH_TITLES, '').replace(/"[^"]*"\s*/g, ''), name]
+    .find(candidate => candidate && /^[\x20-\x7e]+$/.test(candidate));
+  return (latin ?? name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * "1. 亞洲戰場：林子修 (Lin, Tzu-Hsiu)" → name 林子修, theater 亞洲戰場,
+ * romanisation "Lin, Tzu-Hsiu"; "柯大勇 上尉 (…)" → name 柯大勇, rank 上尉
+ */
+function parseNameLine(text) {
+  const withoutNumber = toPlainText(text).replace(/^\d+\.\s*/, '');
+  const [, theater = null, rest] = withoutNumber.match(/^(?:([^：:()（）]+)[：:]\s*)?(.+)$/);
+  const match = rest.match(/^(.+?)\s*[(（](.+)[)）]\s*$/);
+  const fullName = (match ? match[1] : rest).replace(/^[「"“]|[」"”]$/g, '').trim();
+  // Only Chinese names carry a separate rank ("柯大勇 上尉"); "Marcus Chen" is one name
+  const ranked = fullName.match(/^(\p{Script=Han}[\p{Script=Han}·]*)\s+(\S+)$/u);
+
+  return {
+    name: ranked ? ranked[1] : fullName,
+    rank: ranked ? ranked[2] : null,
+    romanization: match ? match[2].trim() : null,
+    theater,
+  };
+}
+
+/**
+ * Text of a name-like field value up to its parenthesis or punctuation
+ */
+function leadingName(value) {
+  return value.replace(/[「」"“”]/g, '').split(/[(（，,。/]/)[0].trim();
+}
+
+function findField(character, pattern) {
+  return character.fields.find(field => pattern.test(field.label)) ?? null;
+}
+
+/**
+ * Derive codename, role, flaws and POV spellings from the raw fields
+ */
+function finishCharacter(character) {
+  const codenameField = findField(character, /^代號$|^Codename$/i);
+  const roleField = findField(character, /^身份$|^Role$/i);
+  const flawFields = character.fields.filter(field => /缺陷|弱點|Flaw/i.test(field.label));
+
+  const codename = codenameField?.value
+    || roleField?.value.match(/代號\s*[「"“]?([^」"”。，,、/]+?)[」"”]?(?:[。，,、/]|$)/)?.[1]?.trim()
+    || null;
+
+  const names = [
+    character.name,
+    character.rank && `${character.name}${character.rank}`,
+    character.name.split('·')[0],
+    character.romanization,
+    codename && leadingName(codename),
+    ...['外號', '真實身份'].map(label => findField(character, new RegExp(`^${label}$`))?.value).filter(Boolean).map(leadingName),
+    ...(findField(character, /^別名$|^Aliases?$/i)?.value.split(/[、,，]/).map(name => name.trim()) ?? []),
+  ].filter(Boolean);
+
+  return {
+    ...character,
+    codename,
+    role: roleField?.value || roleField?.items.join('；') || null,
+    flaws: flawFields.flatMap(field => (field.items.length > 0 ? field.items : [field.value])).filter(Boolean),
+    names: [...new Set(names)],
+  };
+}
+
+/**
+ * Parse a character master file into profiles, in file order
+ */
+export function parseCharacters(markdown) {
+  const characters = [];
+  let group = null;
+  let section = null;
+  let pendingHeading = null;
+  let character = null;
+  let fieldIndent = 0;
+
+  const finish = () => {
+    if (character) characters.push(finishCharacter(character));
+    character = null;
+  };
+
+  const start = (nameLine, indent) => {
+    finish();
+    const { theater, ...name } = parseNameLine(nameLine);
+    character = { ...name, group, section: theater ?? section, fields: [] };
+    fieldIndent = indent;
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = line.match(/^(#{2,4})\s+(.+?)\s*#*\s*$/);
+
+    if (heading) {
+      finish();
+      if (heading[1] === '##') {
+        group = toPlainText(heading[2]).replace(/\s+-\s+.*$/, '');
+        section = null;
+      } else {
+        // A character or a section: decided by the first bullet below it
+        if (pendingHeading) section = toPlainText(pendingHeading).replace(/^\d+\.\s*/, '');
+        pendingHeading = heading[2];
+      }
+      continue;
+    }
+
+    if (/^\s*(?:---+|\*\*\*+)\s*$/.test(line)) {
+      finish();
+      pendingHeading = null;
+      continue;
+    }
+
+    const nameBullet = line.match(NAME_BULLET_REGEX);
+    const field = line.match(FIELD_REGEX);
+
+    if (pendingHeading && (nameBullet || field)) {
+      if (field && field[1].length === 0) {
+        start(pendingHeading, 0);
+      } else {
+        section = toPlainText(pendingHeading).replace(/^\d+\.\s*/, '');
+      }
+      pendingHeading = null;
+    }
+
+    if (nameBullet) {
+      start(nameBullet[1], 2);
+    } else if (character && field && field[1].length === fieldIndent) {
+      character.fields.push({ label: toPlainText(field[3]), value: toPlainText(field[4]), items: [] });
+    } else if (character && character.fields.length > 0) {
+      const bullet = line.match(BULLET_REGEX);
+      if (bullet && bullet[1].length > fieldIndent) {
+        character.fields.at(-1).items.push(toPlainText(bullet[2]));
+      }
+    }
+  }
+  finish();
+
+  // Keep slugs unique within the file
+  const seen = new Map();
+  return characters.map(entry => {
+    const base = characterSlug(entry.name, entry.romanization);
+    const count = (seen.get(base) ?? 0) + 1;
+    seen.set(base, count);
+    return { slug: count > 1 ? `${base}-${count}` : base, ...entry };
+  });
+}
+
+export async function loadCharactersData() {
+  if (!existsSync(CHARACTERS_DATA_PATH)) return [];
+  return JSON.parse(await readFile(CHARACTERS_DATA_PATH, 'utf-8'));
+}
+
+export async function saveCharactersData(data) {
+  await mkdir(join(CHARACTERS_DATA_PATH, '..'), { recursive: true });
+  await writeFile(CHARACTERS_DATA_PATH, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Replace a project's entries in `data` (an array of collection entries
+ * with `id` "{project}/{slug}")
+ *
+ * @returns {Promise<{ data: object[], count: number }>}
+ */
+export async function syncCharacters(project, data) {
+  const others = data.filter(entry => entry.project !== project.name);
+  const path = getCharactersPath(project);
+  if (!existsSync(path)) return { data: others, count: 0 };
+
+  const characters = parseCharacters(await readFile(path, 'utf-8'))
+    .map(character => ({ id: `${project.name}/${character.slug}`, project: project.name, ...character }));
+  return { data: [...others, ...characters], count: characters.length };
+}
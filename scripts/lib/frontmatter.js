@@ -0,0 +1,293 @@
+/**
+ * Lossless frontmatter parsing and writing for chapter files
+ *
+ * Supports the YAML subset our chapters use:
+ * - Scalars: "double", 'single', plain strings, numbers, booleans, null
+ * - Flow lists: [a, "b"]
+ * - Block lists (`- item`) and block strings (`|`, `>`)
+ *
+ * Round-trip guarantees:
+ * - Key order is kept; new keys are appended
+ * - Unknown keys (pov, timeline, ...) are kept
+ * - Entries whose value did not change are written back byte-for-byte,
+ *   including comments, blank lines and line endings
+ * - Numbers stay numbers: `order: 10` is 10, `order: "10"` is "10"
+ * - The closing `---` line is kept as written, with or without a newline
+ */
+
+const FRONTMATTER_REGEX = /^---\r?\n(?:([\s\S]*?)\r?\n)?(---[ \t]*(?:\r?\n|$))/;
+const KEY_REGEX = /^([A-Za-z_][\w-]*)\s*:(?:\s+(.*?))?\s*$/;
+
+/**
+ * Index just past the quoted string or flow list that `text` starts with,
+ * or -1 when it isn't closed
+ */
+function findClosingIndex(text) {
+  const open = text[0];
+  const close = open === '[' ? ']' : open;
+  let quote = null;
+
+  for (let i = 1; i < text.length; i++) {
+    const char = text[i];
+    if (open === '"' && char === '\\') {
+      i++;
+    } else if (open === '[' && quote) {
+      if (char === quote) quote = null;
+    } else if (open === '[' && (char === '"' || char === "'")) {
+      quote = char;
+    } else if (char === close) {
+      // '' is an escaped quote inside a single-quoted string
+      if (open === "'" && text[i + 1] === "'") i++;
+      else return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Remove a trailing `# comment` that is outside quotes and flow lists
+ */
+function stripComment(value) {
+  if (/^["'[]/.test(value)) {
+    const end = findClosingIndex(value);
+    if (end !== -1 && /^(?:\s+#.*|\s*)$/.test(value.slice(end))) return value.slice(0, end);
+  }
+  return value.replace(/(?:^|\s+)#.*$/, '');
+}
+
+/**
+ * Parse a single-line YAML scalar
+ */
+function parseScalar(text) {
+  const value = stripComment(text.trim()).trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+    }
+  }
+
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlowList(value.slice(1, -1)).map(parseScalar);
+  }
+
+  if (/^[-+]?(?:0|[1-9]\d*)(?:\.\d+)?$/.test(value)) return Number(value);
+
+  return value;
+}
+
+/**
+ * Split the inside of a flow list on commas outside quotes
+ */
+function splitFlowList(inner) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim() !== '') items.push(current);
+  return items.map(item => item.trim());
+}
+
+/**
+ * Parse the value of an entry from its first-line value and continuation lines
+ */
+function parseEntryValue(inline, continuation) {
+  if (inline === undefined || inline === '') {
+    const items = continuation.filter(line => line.trim() !== '');
+    if (items.length > 0 && items.every(line => /^\s*-(\s|$)/.test(line))) {
+      return items.map(line => parseScalar(line.replace(/^\s*-\s?/, '')));
+    }
+    return null;
+  }
+
+  if (/^[|>][+-]?$/.test(inline)) {
+    const indent = Math.min(
+      ...continuation.filter(line => line.trim() !== '').map(line => line.match(/^\s*/)[0].length)
+    );
+    const lines = continuation.map(line => line.slice(indent));
+    const text = inline.startsWith('|')
+      ? lines.join('\n')
+      : lines.join(' ').replace(/ {2,}/g, ' ');
+    return inline.endsWith('-') ? text.replace(/\n+$/, '') : `${text.replace(/\n+$/, '')}\n`;
+  }
+
+  return parseScalar(inline);
+}
+
+/**
+ * Format a value as a YAML scalar that parses back to the same value
+ *
+ * @throws {TypeError} For values the subset can't represent (objects,
+ *   nested lists, NaN/Infinity) rather than writing something lossy
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  // JSON strings are valid YAML double-quoted strings
+  if (typeof value === 'string') return JSON.stringify(value);
+  throw new TypeError(`Cannot write ${Array.isArray(value) ? 'a nested list' : String(value)} as a frontmatter value`);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatScalar).join(', ')}]`;
+  return formatScalar(value);
+}
+
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  return a === b;
+}
+
+/**
+ * Parse frontmatter block lines into ordered entries
+ */
+function parseEntries(yaml, eol) {
+  const entries = [];
+  let current = null;
+
+  for (const line of yaml.split(eol)) {
+    const keyMatch = line.match(KEY_REGEX);
+
+    if (keyMatch) {
+      current = { key: keyMatch[1], inline: keyMatch[2], lines: [line] };
+      entries.push(current);
+    } else if (current && (/^\s/.test(line) || /^-(\s|$)/.test(line))) {
+      // Indented or list continuation of the previous key
+      current.lines.push(line);
+    } else {
+      // Comment, blank line or something we don't understand: keep verbatim
+      current = null;
+      entries.push({ key: null, lines: [line] });
+    }
+  }
+
+  for (const entry of entries) {
+    if (entry.key) {
+      entry.value = parseEntryValue(entry.inline, entry.lines.slice(1));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Split a markdown file into frontmatter data and body
+ *
+ * @param {string} content - File content
+ * @returns {{ data: object, body: string, hasFrontmatter: boolean, entries: object[], eol: string, closing: string | null }}
+ *   `body` is everything after the closing `---` line, untouched; `closing`
+ *   is that line as written, including its newline if it has one.
+ *   Pass the whole result back to stringifyFrontmatter() to keep formatting.
+ */
+export function parseFrontmatter(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const match = content.match(FRONTMATTER_REGEX);
+
+  if (!match) {
+    return { data: {}, body: content, hasFrontmatter: false, entries: [], eol, closing: null };
+  }
+
+  const entries = match[1] === undefined ? [] : parseEntries(match[1], eol);
+  const data = {};
+  for (const entry of entries) {
+    if (entry.key) data[entry.key] = entry.value;
+  }
+
+  return {
+    data,
+    body: content.slice(match[0].length),
+    hasFrontmatter: true,
+    entries,
+    eol,
+    closing: match[2],
+  };
+}
+
+/**
+ * Build a `---` frontmatter block for `data`
+ *
+ * @param {object} data - Frontmatter values; keys set to undefined are removed
+ * @param {object} [previous] - Result of parseFrontmatter() to preserve order and formatting
+ * @returns {string} Frontmatter block, without a trailing newline
+ */
+export function formatFrontmatter(data, previous = null) {
+  const eol = previous?.eol || '\n';
+  const lines = [];
+  const written = new Set();
+
+  for (const entry of previous?.entries || []) {
+    if (!entry.key) {
+      lines.push(...entry.lines);
+      continue;
+    }
+
+    if (written.has(entry.key) || data[entry.key] === undefined) continue;
+    written.add(entry.key);
+
+    if (isEqual(entry.value, data[entry.key])) {
+      lines.push(...entry.lines);
+    } else {
+      lines.push(`${entry.key}: ${formatValue(data[entry.key])}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (written.has(key) || value === undefined) continue;
+    lines.push(`${key}: ${formatValue(value)}`);
+  }
+
+  const closing = previous?.closing?.replace(/\r?\n$/, '') || '---';
+  return ['---', ...lines, closing].join(eol);
+}
+
+/**
+ * Reassemble a markdown file from frontmatter data and body
+ *
+ * @param {object} data - Frontmatter values
+ * @param {string} body - Content after the frontmatter
+ * @param {object} [previous] - Result of parseFrontmatter() to preserve formatting
+ * @returns {string}
+ */
+export function stringifyFrontmatter(data, body, previous = null) {
+  const eol = previous?.eol || '\n';
+
+  // Files without frontmatter stay untouched unless we have something to add
+  if (previous && !previous.hasFrontmatter && Object.keys(data).length === 0) {
+    return body;
+  }
+
+  if (!previous?.hasFrontmatter) {
+    return `${formatFrontmatter(data, previous)}${eol}${eol}${body}`;
+  }
+
+  // A file ending at the closing `---` stays without a final newline
+  const separator = previous.closing.match(/\r?\n$/)?.[0] ?? (body === '' ? '' : eol);
+  return `${formatFrontmatter(data, previous)}${separator}${body}`;
+}
@@ -0,0 +1,167 @@
+/**
+ * Glossary parsing for the site's glossary pages and term tooltips
+ *
+ * A novel opts in with a `glossary` entry in novels.config.json pointing at
+ * a Markdown file relative to the project directory:
+ *
+ *   "glossary": { "file": "_meta/military_terminology_glossary.md" }
+ *
+ * The file is read as:
+ *
+ *   # Title
+ *   Intro paragraphs
+ *   ## Category
+ *   ### Term (Alternative name)
+ *   Definition paragraphs
+ *   別名：Short name、Other name     (optional, also "Aliases:")
+ *   ---
+ *   Closing note
+ *
+ * Chapters are matched against the term, the name in parentheses, the
+ * leading Latin part of mixed headings ("Leopard 2A8" for "Leopard 2A8
+ * 主戰坦克") and any aliases. `novels.js sync` writes the parsed glossaries
+ * to site/src/data/glossary.json, keyed by project directory.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { SITE_DIR } from './projects.js';
+import { toPlainText } from './markdown.js';
+
+export const GLOSSARY_DATA_PATH = join(SITE_DIR, 'src/data/glossary.json');
+
+const ALIASES_REGEX = /^(?:別名|Aliases?)\s*[:：]\s*(.+)$/i;
+
+/**
+ * URL fragment for a term, e.g. "link-16", "an-fps-115-pave-paws", "戰爭迷霧"
+ */
+export function termId(term) {
+  return term
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function parseHeading(heading) {
+  const match = heading.match(/^(.+?)\s*[(（]([^()（）]+)[)）]\s*$/);
+  const term = (match ? match[1] : heading).trim();
+  const subtitle = match ? match[2].trim() : null;
+  const names = [term];
+  if (subtitle) names.push(subtitle);
+
+  // "Leopard 2A8 主戰坦克" is written "Leopard 2A8" in the chapters
+  const latin = term.match(/^([A-Za-z0-9][\w./-]*(?: [\w./-]+)*?)\s+\p{Script=Han}/u);
+  if (latin) names.push(latin[1]);
+
+  return { term, subtitle, names };
+}
+
+/**
+ * Parse glossary Markdown into categories of terms
+ *
+ * @returns {{ title: string | null, description: string[], categories: { title: string, terms: object[] }[], note: string[] }}
+ */
+export function parseGlossary(markdown) {
+  const glossary = { title: null, description: [], categories: [], note: [] };
+  let category = null;
+  let term = null;
+  let paragraph = [];
+  let afterRule = false;
+
+  const flush = () => {
+    const text = toPlainText(paragraph.join(' '));
+    paragraph = [];
+    if (!text) return;
+
+    if (afterRule) glossary.note.push(text);
+    else if (term) term.definition.push(text);
+    else if (!category) glossary.description.push(text);
+  };
+
+  for (const line of markdown.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '').split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,3})\s+(.+?)\s*#*\s*$/);
+    const aliases = line.trim().match(ALIASES_REGEX);
+
+    if (heading) {
+      flush();
+      afterRule = false;
+      const text = toPlainText(heading[2]);
+      if (heading[1] === '#') {
+        glossary.title ??= text;
+        term = null;
+      } else if (heading[1] === '##') {
+        category = { title: text, terms: [] };
+        glossary.categories.push(category);
+        term = null;
+      } else {
+        if (!category) {
+          category = { title: '', terms: [] };
+          glossary.categories.push(category);
+        }
+        const parsed = parseHeading(text);
+        term = { id: termId(parsed.term), ...parsed, definition: [] };
+        category.terms.push(term);
+      }
+    } else if (aliases && term) {
+      flush();
+      term.names.push(...aliases[1].split(/[、,，]/).map(name => toPlainText(name)).filter(Boolean));
+    } else if (/^\s*(?:---+|\*\*\*+)\s*$/.test(line)) {
+      flush();
+      term = null;
+      afterRule = true;
+    } else if (line.trim() === '') {
+      flush();
+    } else {
+      paragraph.push(line.trim().replace(/^[-*+]\s+/, ''));
+    }
+  }
+  flush();
+
+  for (const { terms } of glossary.categories) {
+    for (const entry of terms) entry.names = [...new Set(entry.names)];
+  }
+  glossary.categories = glossary.categories.filter(({ terms }) => terms.length > 0);
+
+  return glossary;
+}
+
+export async function loadGlossaryData() {
+  if (!existsSync(GLOSSARY_DATA_PATH)) return {};
+  return JSON.parse(await readFile(GLOSSARY_DATA_PATH, 'utf-8'));
+}
+
+export async function saveGlossaryData(data) {
+  await mkdir(join(GLOSSARY_DATA_PATH, '..'), { recursive: true });
+  await writeFile(GLOSSARY_DATA_PATH, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Glossary file of a project, if it opted in
+ */
+export function getGlossaryPath(project) {
+  const file = project.config?.glossary?.file;
+  return file ? join(project.dir, file) : null;
+}
+
+/**
+ * Parse a project's glossary into `data` (or drop it when the project has none)
+ *
+ * @returns {Promise<number>} Number of terms
+ */
+export async function syncGlossary(project, data) {
+  const path = getGlossaryPath(project);
+  if (!path) {
+    delete data[project.name];
+    return 0;
+  }
+  if (!existsSync(path)) {
+    console.log(`  ⚠ Glossary not found: ${project.config.glossary.file}`);
+    delete data[project.name];
+    return 0;
+  }
+
+  const glossary = parseGlossary(await readFile(path, 'utf-8'));
+  data[project.name] = glossary;
+  return glossary.categories.reduce((count, { terms }) => count + terms.length, 0);
+}
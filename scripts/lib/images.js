@@ -0,0 +1,123 @@
+/**
+ * Responsive variants for chapter images
+ *
+ * For every raster image synced to site/public/assets/{novel}/, writes
+ * resized AVIF and WebP copies to site/public/images/{novel}/ and records
+ * their sizes in site/src/data/images.json:
+ *
+ *   "/assets/BlindOrbit/chapters/ch01.png": {
+ *     "hash": "...", "width": 1024, "height": 1024,
+ *     "sources": { "avif": [{ "src": "/images/BlindOrbit/chapters/ch01-480.avif", "width": 480 }, ...],
+ *                  "webp": [...] }
+ *   }
+ *
+ * The site's rehype-responsive-images plugin turns chapter <img> tags into
+ * <picture> elements from this file. Originals in _assets/ stay the source
+ * of truth; variants are rebuilt whenever an original's hash changes.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { SITE_DIR, importFromSite } from './projects.js';
+
+export const IMAGES_DIR = join(SITE_DIR, 'public/images');
+const IMAGES_DATA_PATH = join(SITE_DIR, 'src/data/images.json');
+
+// Widths to generate (never wider than the original)
+const WIDTHS = [480, 768, 1024];
+
+const FORMATS = {
+  avif: { quality: 50, effort: 2 },
+  webp: { quality: 75 },
+};
+
+const RASTER_EXTS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+let sharpModule;
+
+/**
+ * Load sharp from the site's dependencies
+ *
+ * @returns {Promise<Function|null>} sharp, or null if it isn't installed
+ */
+async function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = (await importFromSite('sharp')).default;
+    } catch {
+      console.warn('Warning: sharp is not installed (run npm install in site/), skipping responsive images');
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+export function isRasterImage(path) {
+  return RASTER_EXTS.includes(extname(path).toLowerCase());
+}
+
+export async function loadImagesData() {
+  try {
+    return JSON.parse(await readFile(IMAGES_DATA_PATH, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+export async function saveImagesData(data) {
+  await mkdir(dirname(IMAGES_DATA_PATH), { recursive: true });
+  await writeFile(IMAGES_DATA_PATH, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Make sure the variants for one image exist and are current
+ *
+ * @param {object} data - Loaded images.json, updated in place
+ * @param {string} srcPath - Original image in _assets/
+ * @param {string} srcHash - Hash of the original
+ * @param {string} publicPath - Public URL path of the synced original
+ *   (e.g. "/assets/BlindOrbit/chapters/ch01.png")
+ * @param {string} variantPath - Variant path without extension, relative to
+ *   site/public/images (e.g. "BlindOrbit/chapters/ch01")
+ * @returns {Promise<{ generated: boolean, files: string[] }>} Whether variants
+ *   were (re)built, and every variant file that belongs to this image
+ */
+export async function ensureVariants(data, srcPath, srcHash, publicPath, variantPath) {
+  const entry = data[publicPath];
+  const filesOf = (e) => Object.values(e.sources)
+    .flat()
+    .map(source => join(SITE_DIR, 'public', source.src));
+
+  if (entry?.hash === srcHash && filesOf(entry).every(file => existsSync(file))) {
+    return { generated: false, files: filesOf(entry) };
+  }
+
+  const sharp = await loadSharp();
+  if (!sharp) {
+    delete data[publicPath];
+    return { generated: false, files: [] };
+  }
+
+  const input = await readFile(srcPath);
+  const { width, height } = await sharp(input).metadata();
+  const maxWidth = Math.min(width, WIDTHS[WIDTHS.length - 1]);
+  const widths = [...WIDTHS.filter(w => w < maxWidth), maxWidth];
+
+  await mkdir(dirname(join(IMAGES_DIR, variantPath)), { recursive: true });
+
+  const sources = {};
+  for (const [format, options] of Object.entries(FORMATS)) {
+    sources[format] = [];
+    for (const w of widths) {
+      const src = `/images/${variantPath}-${w}.${format}`;
+      await sharp(input)
+        .resize({ width: w, withoutEnlargement: true })[format](options)
+        .toFile(join(SITE_DIR, 'public', src));
+      sources[format].push({ src, width: w });
+    }
+  }
+
+  data[publicPath] = { hash: srcHash, width, height, sources };
+  return { generated: true, files: filesOf(data[publicPath]) };
+}
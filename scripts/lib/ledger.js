@@ -0,0 +1,83 @@
+/**
+ * WordPress publish ledger
+ *
+ * Each project commits projects/{dir}/_meta/wordpress_ledger.json, mapping
+ * chapter files to the post they were published as:
+ *
+ *   "chapters": {
+ *     "Chap_05_Twenty_Years.md": {
+ *       "postId": 123, "slug": "blindorbit-chap-05-twenty-years", "link": "...",
+ *       "title": "第五章：二十年", "status": "publish",
+ *       "hash": "...", "navHash": "...", "bodyHash": "...", "publishedAt": "2026-10-18T12:00:00.000Z"
+ *     }
+ *   },
+ *   "toc": { "pageId": 456, "link": "...", "hash": "..." },
+ *   "media": { "<image sha256>": { "id": 789, "url": "...", "file": "chapters/ch05-scene.png" } }
+ *
+ * `hash` covers everything that goes into the post (file, format, novel
+ * metadata, POV, prev/next links), so unchanged chapters are skipped. `bodyHash` covers the
+ * chapter text only and is used to recognise renamed files, whose title and
+ * order frontmatter usually change with the name. `media` records inline
+ * images uploaded with `--images upload`, keyed by content hash so each
+ * image is uploaded once.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+export function getLedgerPath(project) {
+  return join(project.metaDir, 'wordpress_ledger.json');
+}
+
+export function hash(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+export async function loadLedger(project) {
+  try {
+    const ledger = JSON.parse(await readFile(getLedgerPath(project), 'utf-8'));
+    return { chapters: {}, ...ledger };
+  } catch {
+    return { chapters: {} };
+  }
+}
+
+export async function saveLedger(project, ledger) {
+  // Sorted keys keep the committed file's diffs small
+  const chapters = Object.fromEntries(
+    Object.entries(ledger.chapters).sort(([a], [b]) => a.localeCompare(b))
+  );
+  await writeFile(getLedgerPath(project), `${JSON.stringify({ ...ledger, chapters }, null, 2)}\n`);
+}
+
+/**
+ * Ledger entries whose chapter file no longer exists
+ *
+ * @returns {string[]} File names
+ */
+export function findOrphanedEntries(project, ledger) {
+  return Object.keys(ledger.chapters).filter(file => !existsSync(join(project.chaptersDir, file)));
+}
+
+/**
+ * Chapter name without its number, e.g. "Twenty_Years.md" for
+ * "Chap_05_Twenty_Years.md"
+ */
+function nameStem(file) {
+  return file.replace(/^Chap_\d+_/, '');
+}
+
+/**
+ * Find the entry a new chapter file was renamed from: an orphaned entry
+ * with the same text, else one with the same name apart from the number
+ *
+ * @returns {string|null} The old file name
+ */
+export function findRenamedEntry(project, ledger, file, bodyHash) {
+  const orphans = findOrphanedEntries(project, ledger);
+  return orphans.find(old => ledger.chapters[old].bodyHash === bodyHash)
+    ?? orphans.find(old => nameStem(old) === nameStem(file))
+    ?? null;
+}
@@ -0,0 +1,206 @@
+/**
+ * Render chapter Markdown the same way the Astro site does
+ *
+ * Uses Astro's own processor (@astrojs/markdown-remark from site/node_modules)
+ * with the site's defaults: GFM (tables, footnotes, strikethrough),
+ * smartypants, Shiki code highlighting and raw HTML such as the <img> tags
+ * from `novels.js images`. On top of those come the rehype plugins of
+ * site/src/lib/markdown-plugins.ts, the list astro.config.mjs uses too:
+ * glossary tooltips, responsive <picture> images and paragraph ids. They
+ * read the data `novels.js sync` writes to site/src/data, so sync first.
+ *
+ * Output is plain HTML, or WordPress block markup (Gutenberg) with
+ * toGutenbergBlocks().
+ */
+
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { SITE_DIR, importFromSite } from './projects.js';
+
+const PLUGINS_PATH = join(SITE_DIR, 'src/lib/markdown-plugins.ts');
+
+const processors = new Map();
+
+/**
+ * Inline Markdown to plain text (images dropped, links and emphasis unwrapped)
+ */
+export function toPlainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Rewrite `../_assets/...` references (Markdown and HTML) to the synced
+ * public copies under /assets/{novel}/, optionally on another host
+ *
+ * @param {string} content - Chapter Markdown
+ * @param {string} novelName - Project directory name
+ * @param {string} [baseUrl] - e.g. "https://novels.cqi365.net"; empty for site-relative paths
+ */
+export function convertAssetPaths(content, novelName, baseUrl = '') {
+  // Convert Markdown format: (../_assets/...) to (/assets/{novelName}/...)
+  let result = content.replace(
+    /\(\.\.?\/_assets\/(.*?)\)/g,
+    (match, path) => `(${baseUrl}/assets/${novelName}/${path})`
+  );
+
+  // Convert HTML img format: src="../_assets/..." to src="/assets/{novelName}/..."
+  result = result.replace(
+    /src="\.\.?\/_assets\/(.*?)"/g,
+    (match, path) => `src="${baseUrl}/assets/${novelName}/${path}"`
+  );
+
+  return result;
+}
+
+/**
+ * The site's rehype plugins, loaded through Vite since they are TypeScript
+ * and read site/src/data with import.meta.glob
+ */
+async function loadSitePlugins() {
+  const { runnerImport } = await importFromSite('vite');
+  const { module } = await runnerImport(PLUGINS_PATH, { root: SITE_DIR, configFile: false, logLevel: 'error' });
+  return module.rehypePlugins;
+}
+
+function getProcessor(standalone) {
+  if (!processors.has(standalone)) {
+    processors.set(standalone, (async () => {
+      const { createMarkdownProcessor } = await importFromSite('@astrojs/markdown-remark');
+      return createMarkdownProcessor(standalone ? {} : { rehypePlugins: await loadSitePlugins() });
+    })());
+  }
+  return processors.get(standalone);
+}
+
+/**
+ * Point site-relative URLs (src, href, srcset) at `baseUrl`
+ */
+function absolutizeUrls(html, baseUrl) {
+  return html
+    .replace(/(\s(?:src|href)=")(\/(?!\/)[^"]*)"/g, `$1${baseUrl}$2"`)
+    .replace(/(\ssrcset=")([^"]*)"/g, (_, attribute, srcset) =>
+      `${attribute}${srcset.replace(/(^|,\s*)\/(?!\/)/g, `$1${baseUrl}/`)}"`
+    );
+}
+
+/**
+ * Render Markdown to HTML
+ *
+ * Relative image paths would become Astro image placeholders, so run
+ * convertAssetPaths() first. Keep its paths site-relative for the responsive
+ * images to be found, and pass `baseUrl` to make the output absolute.
+ *
+ * @param {string} markdown - Chapter body
+ * @param {object} [options]
+ * @param {string} [options.project] - Project directory name; with `file`,
+ *   lets the glossary plugin find the novel's terms
+ * @param {string} [options.file] - Chapter file name
+ * @param {object} [options.frontmatter] - Chapter frontmatter (`glossary_exclude`)
+ * @param {string} [options.baseUrl] - e.g. "https://novels.cqi365.net"
+ * @param {boolean} [options.standalone] - Astro defaults only, without the
+ *   site's plugins, for output that can't link back to the site (EPUB)
+ */
+export async function renderMarkdown(markdown, { project, file, frontmatter = {}, baseUrl = '', standalone = false } = {}) {
+  const processor = await getProcessor(standalone);
+  // The glossary plugin finds the novel from the synced content path
+  const fileURL = project && file ? pathToFileURL(join(SITE_DIR, 'src/content/novels', project, file)) : undefined;
+  const { code } = await processor.render(markdown, { fileURL, frontmatter });
+  return baseUrl ? absolutizeUrls(code, baseUrl) : code;
+}
+
+/**
+ * Wrap HTML in a Gutenberg block comment
+ */
+function block(name, html, attributes = null) {
+  const attrs = attributes ? ` ${JSON.stringify(attributes)}` : '';
+  return `<!-- wp:${name}${attrs} -->\n${html}\n<!-- /wp:${name} -->`;
+}
+
+function isBlank(node) {
+  return (node.type === 'text' && node.value.trim() === '') || node.type === 'comment';
+}
+
+function withClass(node, className) {
+  const classes = node.properties.className || [];
+  return { ...node, properties: { ...node.properties, className: [...classes, className] } };
+}
+
+/**
+ * Convert one top-level hast node to block markup (null for whitespace)
+ */
+function toBlock(node, toHtml) {
+  if (isBlank(node)) return null;
+  if (node.type === 'text') return block('paragraph', `<p>${toHtml(node)}</p>`);
+  if (node.type !== 'element') return block('html', toHtml(node));
+
+  const children = node.children.filter(child => !isBlank(child));
+  const innerBlocks = () => children.map(child => toBlock(child, toHtml)).filter(Boolean).join('\n\n');
+
+  switch (node.tagName) {
+    case 'p':
+      if (children.length === 1 && children[0].type === 'element' && children[0].tagName === 'img') {
+        return toBlock(children[0], toHtml);
+      }
+      return block('paragraph', toHtml(node));
+
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const level = Number(node.tagName[1]);
+      return block('heading', toHtml(withClass(node, 'wp-block-heading')), level === 2 ? null : { level });
+    }
+
+    case 'img': {
+      const { src, alt = '' } = node.properties;
+      const img = toHtml({ type: 'element', tagName: 'img', properties: { src, alt }, children: [] });
+      return block('image', `<figure class="wp-block-image aligncenter">${img}</figure>`, { align: 'center' });
+    }
+
+    case 'hr':
+      return block('separator', '<hr class="wp-block-separator has-alpha-channel-opacity"/>');
+
+    case 'blockquote':
+      return block('quote', `<blockquote class="wp-block-quote">\n${innerBlocks()}\n</blockquote>`);
+
+    case 'ul':
+    case 'ol': {
+      const items = children
+        .filter(child => child.type === 'element' && child.tagName === 'li')
+        .map(item => block('list-item', toHtml(item)));
+      const list = `<${node.tagName} class="wp-block-list">\n${items.join('\n')}\n</${node.tagName}>`;
+      return block('list', list, node.tagName === 'ol' ? { ordered: true } : null);
+    }
+
+    case 'table':
+      return block('table', `<figure class="wp-block-table">${toHtml(node)}</figure>`);
+
+    case 'pre':
+      return block('code', toHtml(withClass(node, 'wp-block-code')));
+
+    default:
+      // Footnotes, custom HTML, ...: keep as-is
+      return block('html', toHtml(node));
+  }
+}
+
+/**
+ * Convert rendered HTML to Gutenberg block markup
+ */
+export async function toGutenbergBlocks(html) {
+  const { fromHtml } = await importFromSite('hast-util-from-html');
+  const { toHtml } = await importFromSite('hast-util-to-html');
+
+  const tree = fromHtml(html, { fragment: true });
+  return tree.children
+    .map(node => toBlock(node, toHtml))
+    .filter(Boolean)
+    .join('\n\n');
+}
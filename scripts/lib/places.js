@@ -0,0 +1,299 @@
+/**
+ * Scene locations for the site's places index
+ *
+ * A novel opts in with a `places` entry in novels.config.json pointing at
+ * its place list, a Markdown file relative to the project directory:
+ *
+ *   "places": { "file": "_world/places.md" }
+ *
+ * The file is read as:
+ *
+ *   # Title
+ *   Intro paragraphs
+ *   ## Country (English name)
+ *   - 戰線：Asia                      (optional default for its places)
+ *   ### Place (English name)
+ *   - 別名：Other name、Other name    (optional, also "Aliases:")
+ *   - 戰線：Europe                    (optional, also "Theatre:")
+ *   - 位於：Parent place              (optional, also "Within:")
+ *   Description paragraphs
+ *
+ * Chapters name their places in scene headings ("## [2008年9月] 北京，國防大學"),
+ * `**位置：…**` / `**地點：…**` lines and standalone bold place lines
+ * ("**夏延山，北美防空司令部**"). Headings and bold lines match when one of
+ * their comma-separated parts starts with a place name; 位置 lines match
+ * any place they mention. A scene is every heading with a dateline or a
+ * place; location lines before the first one, and the chapter's `places`
+ * frontmatter, give the places of scenes that name none. When a scene
+ * matches a place and one it lies within, only the former is kept.
+ *
+ * `novels.js sync` writes the result to site/src/data/places.json, keyed by
+ * project directory.
+ */
+
+import { readdir, readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { SITE_DIR } from './projects.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { toPlainText } from './markdown.js';
+import { termId } from './glossary.js';
+import { parseSceneHeading } from './timeline.js';
+
+export const PLACES_DATA_PATH = join(SITE_DIR, 'src/data/places.json');
+
+const FIELD_REGEX = /^(?:[-*+]\s+)?(別名|Aliases?|戰線|Theatre|位於|Within)\s*[:：]\s*(.+)$/i;
+const LOCATION_LINE_REGEX = /^\*{1,2}(?:位置|地點)[:：]\s*(.+?)\*{0,2}\s*$/;
+const BOLD_LINE_REGEX = /^\*\*([^*]+)\*\*\s*$/;
+const LATIN_REGEX = /[A-Za-z0-9]/;
+
+// Bold lines that read as sentences, dialogue or labels aren't place lines
+const MAX_PLACE_LINE_LENGTH = 40;
+const SENTENCE_REGEX = /[。！？!?「」『』:：]/;
+
+function parseHeading(heading) {
+  const match = heading.match(/^(.+?)\s*[(（]([^()（）]+)[)）]\s*$/);
+  return {
+    name: (match ? match[1] : heading).trim(),
+    subtitle: match ? match[2].trim() : null,
+  };
+}
+
+/**
+ * Parse a place list into countries of places
+ *
+ * @returns {{ title: string | null, description: string[], countries: { name: string, subtitle: string | null, places: object[] }[] }}
+ */
+export function parsePlaces(markdown) {
+  const list = { title: null, description: [], countries: [] };
+  let country = null;
+  let place = null;
+  let paragraph = [];
+  const parents = new Map();
+
+  const flush = () => {
+    const text = toPlainText(paragraph.join(' '));
+    paragraph = [];
+    if (!text) return;
+
+    if (place) place.description.push(text);
+    else if (!country) list.description.push(text);
+  };
+
+  for (const line of markdown.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '').split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,3})\s+(.+?)\s*#*\s*$/);
+    const field = line.trim().match(FIELD_REGEX);
+
+    if (heading) {
+      flush();
+      const text = toPlainText(heading[2]);
+      if (heading[1] === '#') {
+        list.title ??= text;
+        place = null;
+      } else if (heading[1] === '##') {
+        country = { ...parseHeading(text), theatre: null, places: [] };
+        list.countries.push(country);
+        place = null;
+      } else {
+        if (!country) {
+          country = { name: '', subtitle: null, theatre: null, places: [] };
+          list.countries.push(country);
+        }
+        const { name, subtitle } = parseHeading(text);
+        place = {
+          id: termId(subtitle ?? name),
+          name,
+          subtitle,
+          names: subtitle ? [name, subtitle] : [name],
+          country: country.name,
+          theatre: null,
+          parent: null,
+          description: [],
+        };
+        country.places.push(place);
+      }
+    } else if (field && (place || country)) {
+      flush();
+      const value = toPlainText(field[2]);
+      const key = field[1].toLowerCase();
+      if (key === '別名' || key.startsWith('alias')) {
+        if (place) place.names.push(...value.split(/[、,，]/).map(name => name.trim()).filter(Boolean));
+      } else if (key === '戰線' || key === 'theatre') {
+        (place ?? country).theatre = value;
+      } else if (place) {
+        parents.set(place, value);
+      }
+    } else if (line.trim() === '') {
+      flush();
+    } else if (!/^\s*(?:---+|\*\*\*+)\s*$/.test(line)) {
+      paragraph.push(line.trim().replace(/^[-*+]\s+/, ''));
+    }
+  }
+  flush();
+
+  const places = list.countries.flatMap(({ places }) => places);
+  for (const { theatre, places: countryPlaces } of list.countries) {
+    for (const entry of countryPlaces) {
+      entry.names = [...new Set(entry.names)];
+      entry.theatre ??= theatre;
+    }
+  }
+  for (const [entry, parent] of parents) {
+    const found = findPlace(parent, places);
+    entry.parent = found && found !== entry ? found.id : null;
+  }
+  list.countries = list.countries.filter(({ places }) => places.length > 0);
+
+  return list;
+}
+
+/**
+ * Place one of whose names is exactly `name` (case-insensitive)
+ */
+export function findPlace(name, places) {
+  const target = String(name).trim().toLowerCase();
+  return places.find(place => place.id === target || place.names.some(n => n.toLowerCase() === target)) ?? null;
+}
+
+// Index of a name in text; Latin names must not run into other letters
+function indexOfName(text, name) {
+  const haystack = text.toLowerCase();
+  const needle = name.toLowerCase();
+  for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+    const before = haystack[index - 1] ?? '';
+    const after = haystack[index + needle.length] ?? '';
+    if (LATIN_REGEX.test(needle[0]) && LATIN_REGEX.test(before)) continue;
+    if (LATIN_REGEX.test(needle.at(-1)) && LATIN_REGEX.test(after)) continue;
+    return index;
+  }
+  return -1;
+}
+
+/**
+ * Places a `位置：` line mentions anywhere, e.g. "台北公館 / 台灣海峽上空"
+ */
+function matchMentions(text, places) {
+  return places.filter(place => place.names.some(name => indexOfName(text, name) !== -1));
+}
+
+/**
+ * Places a heading or bold line names, e.g. "台灣，台北市，台大醫院":
+ * parts (parentheses dropped) that start with a place name
+ */
+function matchLabel(text, places) {
+  const parts = text
+    .replace(/\s*[(（][^()（）]*[)）]/g, '')
+    .split(/[，,、/／]/)
+    .map(part => part.trim())
+    .filter(Boolean);
+  return places.filter(place => place.names.some(name => parts.some(part => indexOfName(part, name) === 0)));
+}
+
+// Drop places another of the matches lies within
+function dropAncestors(matches, places) {
+  const byId = new Map(places.map(place => [place.id, place]));
+  const ancestors = new Set();
+  for (const place of matches) {
+    for (let parent = byId.get(place.parent); parent && !ancestors.has(parent.id); parent = byId.get(parent.parent)) {
+      ancestors.add(parent.id);
+    }
+  }
+  return [...new Set(matches)].filter(place => !ancestors.has(place.id));
+}
+
+/**
+ * Scenes of one chapter that have a place, in chapter order
+ *
+ * @returns {{ heading: string | null, dateline: string | null, title: string | null, places: string[] }[]}
+ *   `heading` is null for a chapter placed as a whole; `places` are place IDs
+ */
+export function parseChapterPlaces(markdown, places) {
+  const { data, body } = parseFrontmatter(markdown);
+  const chapterPlaces = [data.places ?? []].flat().map(name => findPlace(name, places)).filter(Boolean);
+  const scenes = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const heading = parseSceneHeading(line);
+    if (heading) {
+      const found = heading.title ? matchLabel(heading.title, places) : [];
+      if (heading.dateline || found.length > 0) {
+        current = { heading: heading.text, dateline: heading.dateline, title: heading.title, places: found };
+        scenes.push(current);
+      }
+      continue;
+    }
+
+    const location = line.match(LOCATION_LINE_REGEX);
+    const bold = !location && line.match(BOLD_LINE_REGEX);
+    let found = [];
+    if (location) {
+      found = matchMentions(toPlainText(location[1]), places);
+    } else if (bold) {
+      const text = toPlainText(bold[1]);
+      if (text.length <= MAX_PLACE_LINE_LENGTH && !SENTENCE_REGEX.test(text)) found = matchLabel(text, places);
+    }
+    (current ? current.places : chapterPlaces).push(...found);
+  }
+
+  if (scenes.length === 0) {
+    scenes.push({ heading: null, dateline: null, title: null, places: [] });
+  }
+
+  return scenes
+    .map(scene => ({
+      ...scene,
+      places: dropAncestors(scene.places.length > 0 ? scene.places : chapterPlaces, places).map(place => place.id),
+    }))
+    .filter(scene => scene.places.length > 0);
+}
+
+export async function loadPlacesData() {
+  if (!existsSync(PLACES_DATA_PATH)) return {};
+  return JSON.parse(await readFile(PLACES_DATA_PATH, 'utf-8'));
+}
+
+export async function savePlacesData(data) {
+  await mkdir(join(PLACES_DATA_PATH, '..'), { recursive: true });
+  await writeFile(PLACES_DATA_PATH, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Place list of a project, if it opted in
+ */
+export function getPlacesPath(project) {
+  const file = project.config?.places?.file;
+  return file ? join(project.dir, file) : null;
+}
+
+/**
+ * Parse a project's place list and extract its scene locations into `data`
+ * (or drop them when the project has no place list)
+ *
+ * @returns {Promise<number>} Number of scenes with a place
+ */
+export async function syncPlaces(project, data) {
+  const path = getPlacesPath(project);
+  if (!path) {
+    delete data[project.name];
+    return 0;
+  }
+  if (!existsSync(path)) {
+    console.log(`  ⚠ Place list not found: ${project.config.places.file}`);
+    delete data[project.name];
+    return 0;
+  }
+
+  const list = parsePlaces(await readFile(path, 'utf-8'));
+  const places = list.countries.flatMap(({ places }) => places);
+
+  const scenes = [];
+  const files = (await readdir(project.chaptersDir)).filter(file => file.endsWith('.md')).sort();
+  for (const file of files) {
+    const chapterScenes = parseChapterPlaces(await readFile(join(project.chaptersDir, file), 'utf-8'), places);
+    scenes.push(...chapterScenes.map(scene => ({ file, ...scene })));
+  }
+
+  data[project.name] = { ...list, scenes };
+  return scenes.length;
+}
@@ -0,0 +1,166 @@
+/**
+ * Project discovery and selection shared by the novels CLI commands
+ *
+ * Novels are declared in novels.config.json. Each entry's `project` field
+ * (or `slug`, if `project` is absent) names its directory under projects/.
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const PROJECT_ROOT = join(__dirname, '..', '..');
+export const PROJECTS_DIR = join(PROJECT_ROOT, 'projects');
+export const SITE_DIR = join(PROJECT_ROOT, 'site');
+export const CONFIG_PATH = join(PROJECT_ROOT, 'novels.config.json');
+
+/**
+ * Invalid command line; the CLI prints the message with usage and exits 2
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Exit with a pointer to the CLI when a command module is run directly
+ *
+ * The chapter scripts only export their command for `scripts/novels.js`;
+ * run as `node scripts/<script>.js` they would otherwise do nothing.
+ *
+ * @param {string} moduleUrl - import.meta.url of the script
+ * @param {string} command - novels.js subcommand (and options) it implements
+ */
+export function exitIfRunDirectly(moduleUrl, command) {
+  if (!process.argv[1] || pathToFileURL(resolve(process.argv[1])).href !== moduleUrl) return;
+
+  const script = relative(PROJECT_ROOT, fileURLToPath(moduleUrl));
+  console.error(`✗ ${script} is no longer run directly. Use:`);
+  console.error(`  node scripts/novels.js ${command} --novel <name> | --all`);
+  console.error('  node scripts/novels.js --help');
+  process.exit(2);
+}
+
+/**
+ * Import a package from site/node_modules (scripts/ has no dependencies of
+ * its own; run `npm install` in site/ first)
+ */
+export async function importFromSite(name) {
+  const path = createRequire(join(SITE_DIR, 'package.json')).resolve(name);
+  return import(pathToFileURL(path).href);
+}
+
+export async function loadConfig() {
+  return JSON.parse(await readFile(CONFIG_PATH, 'utf-8'));
+}
+
+/**
+ * Build the paths for one project directory
+ *
+ * @param {string} name - Directory name under projects/
+ * @param {object|null} config - Matching novels.config.json entry, if any
+ */
+export function describeProject(name, config = null) {
+  const dir = join(PROJECTS_DIR, name);
+  return {
+    name,
+    config,
+    dir,
+    chaptersDir: join(dir, 'chapters'),
+    assetsDir: join(dir, '_assets'),
+    metaDir: join(dir, '_meta'),
+    chapterOrderFile: join(dir, '_meta', 'chapter_order.md'),
+  };
+}
+
+/**
+ * All projects declared in novels.config.json
+ */
+export async function getConfiguredProjects() {
+  const config = await loadConfig();
+  return config.novels.map(novel => describeProject(novel.project || novel.slug, novel));
+}
+
+/**
+ * Resolve --novel / --all into a list of projects
+ *
+ * - `--all`: every configured novel whose project directory exists
+ * - `--novel <name>`: a project directory or config slug; unconfigured
+ *   project directories are allowed for authoring commands
+ * - neither: the only configured novel, if there is exactly one
+ *
+ * @param {{ novel?: string[], all?: boolean }} selection
+ */
+export async function selectProjects({ novel = [], all = false } = {}) {
+  const configured = await getConfiguredProjects();
+
+  if (all && novel.length > 0) {
+    throw new UsageError('Use either --novel or --all, not both');
+  }
+
+  if (all) {
+    return configured.filter(project => {
+      if (existsSync(project.dir)) return true;
+      console.warn(`Warning: ${project.dir} not found, skipping ${project.name}`);
+      return false;
+    });
+  }
+
+  if (novel.length > 0) {
+    return novel.map(name => {
+      const match = configured.find(p => p.name === name || p.config.slug === name);
+      if (match) return match;
+      if (existsSync(join(PROJECTS_DIR, name))) return describeProject(name);
+
+      const known = configured.map(p => p.name).join(', ');
+      throw new UsageError(`Unknown novel "${name}" (configured: ${known})`);
+    });
+  }
+
+  if (configured.length === 1) return configured;
+
+  throw new UsageError('Select a novel with --novel <name>, or use --all');
+}
+
+/**
+ * Parse the chapter table in _meta/chapter_order.md
+ *
+ * Rows look like: | 01 | `Chap_01_....md` | 第一章：棋盤 | 蘇菲·洛朗 | 備註 |
+ *
+ * @returns {{ id: string, num: number|null, filename: string, title: string, pov: string }[]}
+ *   `num` is null for non-integer IDs such as "1.00"
+ */
+export function parseChapterOrder(content) {
+  const rowRegex = /^\|\s*([^|]*?)\s*\|\s*`([^`]+)`\s*\|\s*([^|]*?)\s*\|(?:\s*([^|]*?)\s*\|)?/;
+  const rows = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(rowRegex);
+    if (!match) continue;
+
+    const id = match[1].replace(/\*/g, '').trim();
+    rows.push({
+      id,
+      num: /^\d+$/.test(id) ? parseInt(id, 10) : null,
+      filename: match[2].trim(),
+      title: match[3].trim(),
+      pov: (match[4] || '').trim(),
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Read and parse a project's chapter_order.md (empty if missing)
+ */
+export async function readChapterOrder(project) {
+  if (!existsSync(project.chapterOrderFile)) return [];
+  return parseChapterOrder(await readFile(project.chapterOrderFile, 'utf-8'));
+}
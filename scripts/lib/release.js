@@ -0,0 +1,34 @@
+/**
+ * Chapter release state from frontmatter
+ *
+ * - `status`: draft | scheduled | published (missing means published)
+ * - `publish_at`: ISO 8601 date/time, e.g. 2026-10-20T20:00:00+08:00
+ *
+ * A chapter is released when it isn't a draft and its publish_at (if any)
+ * has passed; `scheduled` without publish_at is never released.
+ * Keep in sync with isChapterReleased() in site/src/lib/novels.ts.
+ */
+
+export const CHAPTER_STATUSES = ['draft', 'scheduled', 'published'];
+
+/**
+ * @returns {Date|null} null if missing or not a valid date
+ */
+export function parsePublishAt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {object} data - Chapter frontmatter
+ * @param {Date} [now]
+ */
+export function isReleased(data, now = new Date()) {
+  const status = data.status || 'published';
+  if (status === 'draft') return false;
+
+  const publishAt = parsePublishAt(data.publish_at);
+  if (publishAt) return publishAt <= now;
+  return status !== 'scheduled';
+}
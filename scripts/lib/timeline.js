@@ -0,0 +1,398 @@
+/**
+ * Story-time scene metadata for the site's timeline pages
+ *
+ * A novel opts in with a `timeline` entry in novels.config.json:
+ *
+ *   "timeline": {
+ *     "file": "_world/grand_timeline.md",
+ *     "tHour": "2028-11-10T21:00:00+08:00"
+ *   }
+ *
+ * `tHour` anchors relative datelines ("T-Hour - 24:00:00", "T+3天") and its
+ * offset is the zone of datelines that don't name one. `file` (optional) is
+ * read for its `## Phase …` sections and their `**時間：…**` periods.
+ *
+ * A scene starts at a heading whose text begins with a bracketed dateline:
+ *
+ *   ## [2025年4月12日] 米德堡，馬里蘭州          absolute date
+ *   ## [T-Hour - 24:00:00] 鏡中人                relative to T-Hour
+ *   #### **[02:30:00 CET] - 獵人與熊 (…)**       clock time
+ *   #### **[同一時間] - 獵狼者 (…)**             same time as the last scene
+ *
+ * Clock times fall on the chapter's day: the chapter's `timeline`
+ * frontmatter (a dateline, e.g. "T+11天") or a `**時間：…**` line before the
+ * first scene, else the day of T-Hour. Later clock times move forward (past
+ * midnight when the clock goes back more than six hours), and a `時間：` line
+ * right below a clock heading sets that scene's day. Chapters without scene
+ * headings are one scene at the chapter's time.
+ *
+ * `novels.js sync` writes the result to site/src/data/timeline.json, keyed by
+ * project directory.
+ */
+
+import { readdir, readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { SITE_DIR } from './projects.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { toPlainText } from './markdown.js';
+
+export const TIMELINE_DATA_PATH = join(SITE_DIR, 'src/data/timeline.json');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Clock times may go back this far before they count as the next day
+const ROLLOVER_WINDOW = 6 * HOUR;
+
+// UTC offsets (minutes) of the zone abbreviations used in datelines
+const ZONES = {
+  UTC: 0, GMT: 0, Z: 0,
+  CET: 60, CEST: 120, MSK: 180, GST: 240, IST: 330,
+  TST: 480, CST: 480, SGT: 480, JST: 540, KST: 540, ACST: 570,
+  EST: -300, EDT: -240,
+};
+const ZONE_REGEX = new RegExp(`\\b(${Object.keys(ZONES).join('|')})\\b`);
+
+const UNITS = [
+  [/^(?:分鐘|分|min(?:ute)?s?)$/i, MINUTE],
+  [/^(?:小時|時|h|hours?)$/i, HOUR],
+  [/^(?:天|日|d|days?)$/i, DAY],
+  [/^(?:週|周|w|weeks?)$/i, 7 * DAY],
+  [/^(?:個月|月|months?)$/i, 30 * DAY],
+];
+
+const SCENE_HEADING_REGEX = /^#{2,4}\s+(.+?)\s*#*\s*$/;
+const DATELINE_REGEX = /^\[([^\]]+)\]\s*(?:[-–—:：]\s*)?(.*)$/;
+const TIME_LINE_REGEX = /^\*{1,2}時間[:：]\s*(.+?)\*{0,2}\s*$/;
+
+/**
+ * Offset (minutes) of the zone in an ISO date such as "2028-11-10T21:00:00+08:00"
+ */
+function isoOffset(iso) {
+  const match = iso.match(/([+-])(\d{2}):?(\d{2})$/);
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * Midnight (UTC ms) of the local day containing `time` in a zone
+ */
+function startOfDay(time, offset) {
+  const local = time + offset * MINUTE;
+  return local - (((local % DAY) + DAY) % DAY) - offset * MINUTE;
+}
+
+/**
+ * Parse a dateline into a point in story time
+ *
+ * @param {string} text - e.g. "T-Hour + 7 天 (2028 年 11 月 17 日 16:30:00 CET)"
+ * @param {{ tHour: number | null, offset: number }} anchor - T-Hour (UTC ms) and default zone
+ * @returns {null | { time: number | null, clock: number | null, precision: string, offset: number, same?: true }}
+ *   `clock` (ms after local midnight) is set for clock-only datelines, which
+ *   still need a day; `same` marks "同一時間"
+ */
+export function parseDateline(text, anchor) {
+  const zone = text.match(ZONE_REGEX)?.[1];
+  const offset = zone ? ZONES[zone] : anchor.offset;
+  // Ranges ("T-Hour + 25 分鐘 至 T+45 分鐘") start at their first point
+  const main = text.split(/\s*(?:至|~|～)\s*/)[0].replace(/[(（][^)）]*[)）]?/g, '').trim();
+
+  if (/^同一?時間|^同時/.test(main)) return { time: null, clock: null, precision: 'time', offset, same: true };
+
+  const relative = main.match(/^T(?:-Hour)?(?:\s*([+\-−])\s*(.+))?$/i);
+  if (relative && anchor.tHour !== null) {
+    if (!relative[1]) return { time: anchor.tHour, clock: null, precision: 'time', offset };
+    const sign = relative[1] === '+' ? 1 : -1;
+    const amount = relative[2].trim();
+
+    const duration = amount.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+    if (duration) {
+      const ms = Number(duration[1]) * HOUR + Number(duration[2]) * MINUTE + Number(duration[3] ?? 0) * 1000;
+      return { time: anchor.tHour + sign * ms, clock: null, precision: 'time', offset };
+    }
+
+    const count = amount.match(/^(\d+(?:\.\d+)?)\s*(\S+)$/);
+    const unit = count && UNITS.find(([pattern]) => pattern.test(count[2]));
+    if (unit) {
+      const ms = Number(count[1]) * unit[1];
+      return { time: anchor.tHour + sign * ms, clock: null, precision: unit[1] >= DAY ? 'day' : 'time', offset };
+    }
+  }
+
+  // "開戰第 2 週", "第 3 個月": the start of that week or month of the war
+  const warPeriod = main.match(/^(?:開戰)?第\s*(\d+)\s*(週|周|個月)/);
+  if (warPeriod && anchor.tHour !== null) {
+    const length = warPeriod[2] === '個月' ? 30 * DAY : 7 * DAY;
+    return { time: anchor.tHour + (Number(warPeriod[1]) - 1) * length, clock: null, precision: 'day', offset, length };
+  }
+
+  const absolute = text.match(/(\d{4})\s*年(?:\s*(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?)?(?:\s*(\d{1,2}):(\d{2}))?/);
+  if (absolute) {
+    const [, year, month, day, hours, minutes] = absolute;
+    const local = Date.UTC(Number(year), Number(month ?? 1) - 1, Number(day ?? 1), Number(hours ?? 0), Number(minutes ?? 0));
+    const precision = hours ? 'time' : day ? 'day' : month ? 'month' : 'year';
+    return { time: local - offset * MINUTE, clock: null, precision, offset };
+  }
+
+  const clock = main.match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?/);
+  if (clock) {
+    const ms = Number(clock[1]) * HOUR + Number(clock[2]) * MINUTE + Number(clock[3] ?? 0) * 1000
+      + Number(`0.${clock[4] ?? 0}`) * 1000;
+    return { time: null, clock: ms, precision: 'time', offset };
+  }
+
+  return null;
+}
+
+/**
+ * When a period ends: the end of its last day, week, month or year
+ */
+function periodEnd(point) {
+  if (point.length) return point.time + point.length;
+  if (point.precision === 'year' || point.precision === 'month') {
+    const local = new Date(point.time + point.offset * MINUTE);
+    const next = point.precision === 'year'
+      ? Date.UTC(local.getUTCFullYear() + 1, 0, 1)
+      : Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 1);
+    return next - point.offset * MINUTE;
+  }
+  return point.precision === 'day' ? startOfDay(point.time, point.offset) + DAY : point.time;
+}
+
+/**
+ * Phases of a grand timeline file: "## Phase 1: 致盲與突襲 (The Blinding)",
+ * a "**時間：T-Hour (…) 至 T+72 Hours**" period and a "*全球狀態：…*" summary
+ *
+ * Each phase starts no earlier than the previous one ends.
+ */
+export function parsePhases(markdown, anchor) {
+  const phases = [];
+  let phase = null;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      const title = toPlainText(heading[1]);
+      phase = /^Phase\s+[-\d]+/i.test(title) ? { title, period: null, summary: null, start: null, end: null } : null;
+      if (phase) phases.push(phase);
+      continue;
+    }
+    if (!phase) continue;
+
+    const period = line.match(TIME_LINE_REGEX);
+    if (period && !phase.period) {
+      phase.period = toPlainText(period[1]);
+      const [from, to] = phase.period.split(/\s*至\s*|\s+-\s+(?=\d{4})/);
+      const start = parseDateline(from, anchor);
+      const end = to ? parseDateline(to.replace(/^第/, '開戰第'), anchor) : null;
+      phase.start = start?.time ?? null;
+      phase.end = end?.time != null ? periodEnd(end) : start?.time != null ? periodEnd(start) : null;
+      continue;
+    }
+
+    const summary = line.match(/^\*([^*]+)\*\s*$/);
+    if (summary && !phase.summary) phase.summary = toPlainText(summary[1]).replace(/^全球狀態[:：]\s*/, '');
+  }
+
+  let previousEnd = null;
+  for (const phase of phases) {
+    if (phase.start !== null && previousEnd !== null) phase.start = Math.max(phase.start, previousEnd);
+    if (phase.end !== null) previousEnd = phase.end;
+  }
+  return phases;
+}
+
+/**
+ * A clock time on a day: the first one at or after `after`, or on the local
+ * day of `day`
+ */
+function placeClock(point, { after = null, day = null }) {
+  const dayStart = startOfDay(day ?? after, point.offset);
+  let time = dayStart + point.clock;
+  if (after !== null) {
+    while (time < after - ROLLOVER_WINDOW) time += DAY;
+  }
+  return time;
+}
+
+/**
+ * Whether a chapter's `timeline` frontmatter can place it in story time
+ */
+export function isValidTimeline(value, anchor) {
+  const point = parseDateline(String(value), anchor);
+  return Boolean(point && !point.same && (point.time !== null || point.clock !== null));
+}
+
+/**
+ * Text of a heading line and its dateline, e.g. "#### **[20:35:00] - 政治掩護**"
+ * gives dateline "20:35:00" and title "政治掩護"
+ *
+ * @returns {{ text: string, dateline: string | null, title: string | null } | null} null when the line isn't a heading
+ */
+export function parseSceneHeading(line) {
+  const heading = line.match(SCENE_HEADING_REGEX);
+  if (!heading) return null;
+  const text = toPlainText(heading[1]);
+  const dateline = text.match(DATELINE_REGEX);
+  if (!dateline) return { text, dateline: null, title: text };
+  return { text, dateline: dateline[1].trim(), title: dateline[2].trim() || null };
+}
+
+/**
+ * Scenes of one chapter, in chapter order
+ */
+export function parseChapterScenes(markdown, anchor) {
+  const { data, body } = parseFrontmatter(markdown);
+  const scenes = [];
+
+  // Day and zone that clock-only datelines use, and whether they fall on its day
+  let context = { time: anchor.tHour, offset: anchor.offset, sameDay: false };
+  let base = null;
+
+  const setContext = (point) => {
+    context = { time: point.time, offset: point.offset, sameDay: point.precision !== 'time' };
+  };
+
+  // Place a clock-only dateline on the context's day (or the next fitting one)
+  const resolveClock = (point, zoned) => {
+    // Clock-only datelines keep the zone the chapter is in unless they name one
+    if (!zoned) point.offset = context.offset;
+    if (context.time === null) return null;
+    return context.sameDay ? placeClock(point, { day: context.time }) : placeClock(point, { after: context.time });
+  };
+
+  // An unparseable `timeline` is reported by `novels.js validate`
+  if (data.timeline && isValidTimeline(data.timeline, anchor)) {
+    base = parseDateline(String(data.timeline), anchor);
+    if (base.clock !== null) base.time = resolveClock(base, ZONE_REGEX.test(data.timeline));
+    base.text = String(data.timeline).trim();
+    if (base.time !== null) setContext(base);
+    else base = null;
+  }
+
+  let current = null;
+  let lastLineWasHeading = false;
+
+  for (const line of body.split(/\r?\n/)) {
+    const heading = parseSceneHeading(line);
+    if (heading) {
+      const point = heading.dateline && parseDateline(heading.dateline, anchor);
+      current = null;
+      lastLineWasHeading = Boolean(point);
+      if (!point) continue;
+
+      let time = point.time;
+      let precision = point.precision;
+      let offset = point.offset;
+      if (point.same) {
+        const previous = scenes.at(-1);
+        time = previous?.time ?? null;
+        precision = previous?.precision ?? 'time';
+        offset = previous?.offset ?? context.offset;
+      } else if (point.clock !== null) {
+        time = resolveClock(point, ZONE_REGEX.test(heading.dateline));
+        offset = point.offset;
+      }
+
+      current = { heading: heading.text, dateline: heading.dateline, title: heading.title, time, precision, offset, point };
+      scenes.push(current);
+      if (time !== null) setContext({ time, offset, precision: 'time' });
+      continue;
+    }
+
+    const timeLine = line.match(TIME_LINE_REGEX);
+    if (timeLine) {
+      const text = toPlainText(timeLine[1]);
+      const point = parseDateline(text, anchor);
+      if (point?.clock != null && scenes.length === 0 && !base) point.time = resolveClock(point, ZONE_REGEX.test(text));
+      if (point?.time != null) {
+        if (scenes.length === 0 && !base) {
+          base = { ...point, text };
+          setContext(point);
+        } else if (current && lastLineWasHeading && current.point.clock !== null) {
+          current.time = placeClock(current.point, { day: point.time });
+          setContext({ time: current.time, offset: current.offset, precision: 'time' });
+        }
+      }
+    }
+    if (line.trim()) lastLineWasHeading = false;
+  }
+
+  if (scenes.length === 0 && base) {
+    scenes.push({ heading: null, dateline: base.text, title: null, time: base.time, precision: base.precision, offset: base.offset });
+  }
+
+  return scenes.map(({ point, ...scene }) => ({
+    ...scene,
+    time: scene.time === null ? null : new Date(scene.time).toISOString(),
+  }));
+}
+
+export async function loadTimelineData() {
+  if (!existsSync(TIMELINE_DATA_PATH)) return {};
+  return JSON.parse(await readFile(TIMELINE_DATA_PATH, 'utf-8'));
+}
+
+export async function saveTimelineData(data) {
+  await mkdir(join(TIMELINE_DATA_PATH, '..'), { recursive: true });
+  await writeFile(TIMELINE_DATA_PATH, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Grand timeline file of a project, if it configures one
+ */
+export function getTimelinePath(project) {
+  const file = project.config?.timeline?.file;
+  return file ? join(project.dir, file) : null;
+}
+
+/**
+ * T-Hour and default zone of a project's timeline config
+ */
+export function getTimelineAnchor(project) {
+  const tHour = project.config?.timeline?.tHour;
+  return {
+    tHour: tHour ? Date.parse(tHour) : null,
+    offset: tHour ? isoOffset(tHour) : 0,
+  };
+}
+
+/**
+ * Extract a project's scenes (and phases) into `data`, or drop them when the
+ * project has no timeline config
+ *
+ * @returns {Promise<number>} Number of scenes placed in story time
+ */
+export async function syncTimeline(project, data) {
+  if (!project.config?.timeline) {
+    delete data[project.name];
+    return 0;
+  }
+
+  const anchor = getTimelineAnchor(project);
+  const path = getTimelinePath(project);
+  let phases = [];
+  if (path && !existsSync(path)) {
+    console.log(`  ⚠ Timeline not found: ${project.config.timeline.file}`);
+  } else if (path) {
+    phases = parsePhases(await readFile(path, 'utf-8'), anchor);
+  }
+
+  const scenes = [];
+  const files = (await readdir(project.chaptersDir)).filter(file => file.endsWith('.md')).sort();
+  for (const file of files) {
+    const chapterScenes = parseChapterScenes(await readFile(join(project.chaptersDir, file), 'utf-8'), anchor);
+    scenes.push(...chapterScenes.map(scene => ({ file, ...scene })));
+  }
+
+  const toIso = time => (time === null ? null : new Date(time).toISOString());
+  data[project.name] = {
+    tHour: toIso(anchor.tHour),
+    offset: anchor.offset,
+    phases: phases.map(phase => ({ ...phase, start: toIso(phase.start), end: toIso(phase.end) })),
+    scenes,
+  };
+  return scenes.filter(scene => scene.time !== null).length;
+}
@@ -0,0 +1,95 @@
+/**
+ * Phrase overrides for the site's Simplified Chinese (zh-Hans) edition
+ *
+ * A novel opts in to the edition with a `zhHans` entry in novels.config.json,
+ * optionally pointing at an override list, a Markdown file relative to the
+ * project directory:
+ *
+ *   "zhHans": { "file": "_meta/zh_hans_overrides.md" }
+ *
+ * The site converts text with OpenCC's Taiwan-to-mainland dictionaries
+ * (site/src/lib/zh-hans-edition.ts). The list fixes what they get wrong for
+ * this novel, typically names and military terms, one phrase per line:
+ *
+ *   ## Section (free-form, for the maintainers)
+ *   - 唐納·川普 → 唐纳德·特朗普
+ *   - 呼叫 → 呼叫                    (kept as written: no conversion)
+ *
+ * Override phrases win over the dictionaries, longest first. `novels.js
+ * sync` writes the novels with an edition to site/src/data/zh-hans.json,
+ * keyed by project directory.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { SITE_DIR } from './projects.js';
+
+export const ZH_HANS_DATA_PATH = join(SITE_DIR, 'src/data/zh-hans.json');
+
+const LIST_ITEM_REGEX = /^[-*+]\s+(.*)$/;
+const OVERRIDE_REGEX = /^(.+?)\s*(?:→|->)\s*(.+)$/;
+
+/**
+ * Parse an override list into [Traditional, Simplified] pairs
+ *
+ * @returns {{ overrides: [string, string][], invalid: string[] }} Pairs in
+ *   file order, and list items that aren't "A → B"
+ */
+export function parseZhHansOverrides(markdown) {
+  const overrides = [];
+  const invalid = [];
+  for (const line of markdown.split('\n')) {
+    const item = line.trim().match(LIST_ITEM_REGEX);
+    if (!item) continue;
+    const match = item[1].match(OVERRIDE_REGEX);
+    if (match) overrides.push([match[1].trim(), match[2].trim()]);
+    else invalid.push(item[1]);
+  }
+  return { overrides, invalid };
+}
+
+export async function loadZhHansData() {
+  if (!existsSync(ZH_HANS_DATA_PATH)) return {};
+  return JSON.parse(await readFile(ZH_HANS_DATA_PATH, 'utf-8'));
+}
+
+export async function saveZhHansData(data) {
+  await mkdir(join(ZH_HANS_DATA_PATH, '..'), { recursive: true });
+  await writeFile(ZH_HANS_DATA_PATH, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Override list of a project, if it has one
+ */
+export function getZhHansPath(project) {
+  const file = project.config?.zhHans?.file;
+  return file ? join(project.dir, file) : null;
+}
+
+/**
+ * Record whether a project has a zh-Hans edition in `data`, with its
+ * parsed override list
+ *
+ * @returns {Promise<number | null>} Number of overrides, or null when the
+ *   project has no edition
+ */
+export async function syncZhHans(project, data) {
+  if (!project.config?.zhHans) {
+    delete data[project.name];
+    return null;
+  }
+
+  const path = getZhHansPath(project);
+  let overrides = [];
+  if (path && !existsSync(path)) {
+    console.log(`  ⚠ zh-Hans override list not found: ${project.config.zhHans.file}`);
+  } else if (path) {
+    const parsed = parseZhHansOverrides(await readFile(path, 'utf-8'));
+    for (const item of parsed.invalid) console.log(`  ⚠ zh-Hans override is not "A → B": ${item}`);
+    overrides = parsed.overrides;
+  }
+
+  data[project.name] = { overrides };
+  return overrides.length;
+}
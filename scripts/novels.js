@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * Novels365 command line - one entry point for all chapter scripts
+ *
+ * Usage: node scripts/novels.js <command> [--novel <name> | --all] [options]
+ *
+ * Novel selection (all commands):
+ *   --novel <name>  Project directory or config slug, repeatable
+ *                   (e.g. --novel BlindOrbit, --novel 2028ww3)
+ *   --all           Every novel in novels.config.json
+ *   (neither)       The only configured novel, if there is exactly one
+ *
+ * Preview (clean, titles, images, sanitize):
+ *   --dry-run       Print a unified diff per file instead of writing
+ *   --check         Write nothing; exit 1 if any file would change
+ *
+ * Exit codes: 0 success, 1 command failed (or --check found changes), 2 usage error
+ */
+
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { selectProjects, UsageError } from './lib/projects.js';
+import { createChangeSet } from './lib/changes.js';
+import { syncChapters, watchChapters } from './sync-chapters.js';
+import { generateStats } from './generate-stats.js';
+import { cleanChapters } from './clean-chapters.js';
+import { applyTitles } from './apply-titles.js';
+import { fixChapterTitles } from './fix-chapter-titles.js';
+import { insertImages } from './auto-insert-images.js';
+import { sanitizeChapters } from './sanitize-chapters.js';
+import { validateChapters } from './validate-chapters.js';
+import { listSchedule, findRecentReleases } from './release-schedule.js';
+import { publishChapters } from './publish-to-wp.js';
+import { exportEpub } from './export-epub.js';
+
+const SELECTION_OPTIONS = {
+  novel: { type: 'string', short: 'n', multiple: true },
+  all: { type: 'boolean', short: 'a' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const SELECTION_HELP = `  -n, --novel <name>    Project directory or config slug (repeatable)
+  -a, --all             Every novel in novels.config.json
+  -h, --help            Show this help`;
+
+// Options for commands that rewrite chapter files
+const PREVIEW_OPTIONS = {
+  'dry-run': { type: 'boolean' },
+  check: { type: 'boolean' },
+};
+
+const PREVIEW_HELP = `      --dry-run         Print a unified diff per file, write nothing
+      --check           Write nothing; exit 1 if any file would change`;
+
+/**
+ * Run a per-project command over every selected project
+ */
+async function forEachProject(projects, fn) {
+  for (const project of projects) {
+    await fn(project);
+  }
+}
+
+const COMMANDS = {
+  sync: {
+    summary: 'Sync changed chapters and assets to site/, removing stale copies',
+    options: {
+      watch: { type: 'boolean', short: 'w' },
+    },
+    help: '  -w, --watch           Keep syncing as chapters and assets change',
+    async run({ projects, values }) {
+      await (values.watch ? watchChapters : syncChapters)(projects);
+    },
+  },
+
+  stats: {
+    summary: 'Write chapter and word counts to site/src/data/novels-stats.json',
+    async run({ projects }) {
+      await generateStats(projects);
+    },
+  },
+
+  clean: {
+    summary: 'Remove agent writing metadata (<metadata> blocks etc.) from chapters',
+    preview: true,
+    async run({ projects, changes }) {
+      await forEachProject(projects, project => cleanChapters(project, { changes }));
+    },
+  },
+
+  titles: {
+    summary: 'Apply titles and order from _meta/chapter_order.md to frontmatter',
+    preview: true,
+    options: {
+      'from-h1': { type: 'boolean' },
+    },
+    help: '      --from-h1         Take titles from each chapter\'s first H1 instead',
+    async run({ projects, values, changes }) {
+      const apply = values['from-h1'] ? fixChapterTitles : applyTitles;
+      await forEachProject(projects, project => apply(project, { changes }));
+    },
+  },
+
+  images: {
+    summary: 'Insert scene images and covers from _assets/chapters by file name',
+    preview: true,
+    options: {
+      chapter: { type: 'string' },
+    },
+    help: '      --chapter <file>  Only process this chapter file name',
+    async run({ projects, values, changes }) {
+      await forEachProject(projects, project => insertImages(project, { chapter: values.chapter, changes }));
+    },
+  },
+
+  sanitize: {
+    summary: 'Rebuild frontmatter from chapter_order.md and drop duplicate blocks',
+    preview: true,
+    async run({ projects, changes }) {
+      await forEachProject(projects, project => sanitizeChapters(project, { changes }));
+    },
+  },
+
+  validate: {
+    summary: 'Check chapter_order.md against chapter files, frontmatter and images',
+    async run({ projects }) {
+      let errors = 0;
+      for (const project of projects) {
+        errors += (await validateChapters(project)).errors;
+      }
+      return errors > 0 ? 1 : 0;
+    },
+  },
+
+  schedule: {
+    summary: 'List draft and scheduled chapters with their release times',
+    options: {
+      'released-within': { type: 'string' },
+    },
+    help: '      --released-within <minutes>\n                        Only print paths of chapters released in the last N minutes',
+    async run({ projects, values }) {
+      const within = values['released-within'];
+      if (within === undefined) {
+        await forEachProject(projects, project => listSchedule(project));
+        return;
+      }
+
+      const minutes = Number(within);
+      if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new UsageError(`--released-within needs a number of minutes, got "${within}"`);
+      }
+      for (const project of projects) {
+        (await findRecentReleases(project, minutes)).forEach(path => console.log(path));
+      }
+    },
+  },
+
+  publish: {
+    summary: 'Publish new or changed chapters to WordPress (files, or every chapter of the selection)',
+    args: '[chapter-files...]',
+    allowPositionals: true,
+    // Selection is only needed when no files are given
+    lazySelection: true,
+    options: {
+      format: { type: 'string' },
+      images: { type: 'string' },
+      force: { type: 'boolean' },
+    },
+    help: `      --format <fmt>    "html" or "blocks" (Gutenberg); default from config, else html
+      --images <mode>   "link" (novel site) or "upload" (WP media library); default from config, else link
+      --force           Publish chapters the ledger marks as unchanged`,
+    async run({ positionals, values, select }) {
+      if (values.format && !['html', 'blocks'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (use html or blocks)`);
+      }
+      if (values.images && !['link', 'upload'].includes(values.images)) {
+        throw new UsageError(`Unknown image mode "${values.images}" (use link or upload)`);
+      }
+
+      let files = positionals;
+
+      if (files.length === 0) {
+        const projects = await select();
+        files = [];
+        for (const project of projects) {
+          const chapterFiles = (await readdir(project.chaptersDir)).filter(f => f.endsWith('.md')).sort();
+          files.push(...chapterFiles.map(f => join(project.chaptersDir, f)));
+        }
+      }
+
+      const summary = await publishChapters(files, { format: values.format, images: values.images, force: values.force });
+      return summary.failed > 0 ? 1 : 0;
+    },
+  },
+
+  epub: {
+    summary: 'Export each novel as an EPUB 3 book (default dist/{project}.epub)',
+    options: {
+      output: { type: 'string', short: 'o' },
+      drafts: { type: 'boolean' },
+    },
+    help: `  -o, --output <file>   Write the book here (one novel only)
+      --drafts          Include draft and scheduled chapters`,
+    async run({ projects, values }) {
+      if (values.output && projects.length > 1) {
+        throw new UsageError('--output needs a single novel');
+      }
+      await forEachProject(projects, project => exportEpub(project, { output: values.output, drafts: values.drafts }));
+    },
+  },
+};
+
+function printHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  const commandList = Object.entries(COMMANDS)
+    .map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`)
+    .join('\n');
+
+  console.log(`Usage: node scripts/novels.js <command> [options]
+
+Commands:
+${commandList}
+
+Options:
+${SELECTION_HELP}
+
+Run "node scripts/novels.js <command> --help" for command options.`);
+}
+
+function printCommandHelp(name, command) {
+  const args = command.args ? ` ${command.args}` : '';
+  const help = [SELECTION_HELP, command.help, command.preview && PREVIEW_HELP].filter(Boolean);
+  console.log(`Usage: node scripts/novels.js ${name} [--novel <name> | --all]${args}
+
+${command.summary}
+
+Options:
+${help.join('\n')}`);
+}
+
+/**
+ * Parse arguments and run a command
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    printHelp();
+    return name ? 0 : 2;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n`);
+    printHelp();
+    return 2;
+  }
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: rest,
+      options: { ...SELECTION_OPTIONS, ...(command.preview && PREVIEW_OPTIONS), ...command.options },
+      allowPositionals: !!command.allowPositionals,
+    }));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    printCommandHelp(name, command);
+    return 2;
+  }
+
+  if (values.help) {
+    printCommandHelp(name, command);
+    return 0;
+  }
+
+  const select = () => selectProjects({ novel: values.novel, all: values.all });
+  const changes = createChangeSet({ dryRun: values['dry-run'], check: values.check });
+
+  try {
+    const projects = command.lazySelection ? null : await select();
+    const code = await command.run({ projects, values, positionals, select, changes });
+
+    if (command.preview) {
+      changes.printSummary();
+      if (values.check && changes.changedFiles.length > 0) return 1;
+    }
+    return code ?? 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n`);
+      printCommandHelp(name, command);
+      return 2;
+    }
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -1,8 +1,9 @@
-#!/usr/bin/env node
 /**
  * Publish chapter updates to WordPress
  *
- * Usage: node scripts/publish-to-wp.js [chapter-files...]
+ * Usage:
+ *   node scripts/novels.js publish [--force] [chapter-files...]
+ *   node scripts/novels.js publish [--force] --novel <name> | --all
  *
  * Environment variables:
  * - WP_URL: WordPress site URL (e.g., https://blog.cqi365.net)
@@ -10,53 +11,83 @@
  * - WP_APP_PASSWORD: WordPress application password
  * - NOVEL_SITE_URL: Novel site URL for "read more" links
  *
+ * Novel metadata comes from novels.config.json. Each chapter's project
+ * directory (projects/{dir}/chapters) is matched to the config entry whose
+ * `project` field (or `slug`, if `project` is absent) equals {dir}.
+ *
+ * Taxonomy:
+ * - Category: `wordpress.category` from config (created if missing)
+ * - Tags: the novel's `tags` plus the chapter POV (frontmatter `pov`, or the
+ *   POV column of _meta/chapter_order.md)
+ *
+ * Post status (frontmatter `status` / `publish_at`, see lib/release.js),
+ * matching what the site shows:
+ * - published or no status: `publish`, dated publish_at if set
+ * - publish_at in the future (scheduled or published): `future` at publish_at
+ * - draft, or scheduled without publish_at: `draft`
+ *
+ * Change detection (lib/ledger.js):
+ * - projects/{dir}/_meta/wordpress_ledger.json records each chapter's post ID
+ *   and content hash; chapters whose hash hasn't changed are skipped unless
+ *   `--force` is given
+ * - Posts are updated by their recorded ID, so renamed chapter files keep
+ *   their post (matched by identical text, or the same name apart from the
+ *   chapter number); chapters missing from the ledger fall back to a slug lookup
+ *
+ * Series navigation:
+ * - Each post links to the previous and next chapter posts (in
+ *   _meta/chapter_order.md order, skipping drafts) and to a per-novel table
+ *   of contents page, "{project}-contents", listing the chapters by part
+ * - Publishing a chapter republishes neighbours whose links changed and
+ *   updates the TOC page; both are tracked in the ledger
+ *
+ * Rendering:
+ * - Chapters are rendered with the same Markdown pipeline and rehype plugins
+ *   as the Astro site (lib/markdown.js), so both channels match: glossary
+ *   tooltips, responsive images and paragraph ids need `novels.js sync` first
+ * - Output is plain HTML, or Gutenberg block markup with `--format blocks`
+ *   or `wordpress.format: "blocks"` in the novel's config
+ *
  * Image handling:
  * - Cover images (frontmatter `cover` field): Uploaded to WP as featured image
- * - Inline images: Converted to use NOVEL_SITE_URL URLs
+ * - Inline images (Markdown or <img>): Linked to NOVEL_SITE_URL, or with
+ *   `--images upload` / `wordpress.images: "upload"`, uploaded to the media
+ *   library once per distinct file (tracked in the ledger) with their alt text
  */
 
-import { readFile, access } from 'fs/promises';
+import { readFile, readdir, access } from 'fs/promises';
 import { basename, dirname, join } from 'path';
-import { constants } from 'fs';
+import { constants, existsSync } from 'fs';
+import { parseFrontmatter } from './lib/frontmatter.js';
+import { describeProject, loadConfig, parseChapterOrder, readChapterOrder, exitIfRunDirectly } from './lib/projects.js';
+import { convertAssetPaths, renderMarkdown, toGutenbergBlocks } from './lib/markdown.js';
+import { isReleased, parsePublishAt } from './lib/release.js';
+import { findOrphanedEntries, findRenamedEntry, hash, loadLedger, saveLedger } from './lib/ledger.js';
+
+exitIfRunDirectly(import.meta.url, 'publish');
 
 const WP_URL = process.env.WP_URL || 'https://blog.cqi365.net';
 const WP_USER = process.env.WP_USER;
 const WP_APP_PASSWORD = process.env.WP_APP_PASSWORD;
 const NOVEL_SITE_URL = process.env.NOVEL_SITE_URL || 'https://novels.cqi365.net';
 
-// Novel metadata
-const NOVELS = {
-  'BlindOrbit': {
-    title: '盲軌：2028',
-    titleEn: 'Blind Orbit',
-    category: '盲軌：2028 (Blind Orbit)',
-    coverUrl: 'https://i0.wp.com/blog.cqi365.net/wp-content/uploads/2025/12/blind-orbit_%E5%B0%81%E9%9D%A2.jpg?w=1024&ssl=1',
-  },
-};
-
 /**
- * Get auth header
+ * Load novels from config, keyed by project directory name
  */
-function getAuthHeader() {
-  return `Basic ${Buffer.from(`${WP_USER}:${WP_APP_PASSWORD}`).toString('base64')}`;
+async function loadNovels() {
+  const config = await loadConfig();
+  const novels = {};
+  for (const novel of config.novels) {
+    novels[novel.project || novel.slug] = novel;
+  }
+  return novels;
 }
 
 /**
- * Extract frontmatter and content from markdown
+ * Get auth header
  */
-function parseMarkdown(content) {
-  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (frontmatterMatch) {
-    const frontmatter = {};
-    frontmatterMatch[1].split('\n').forEach(line => {
-      const [key, ...value] = line.split(':');
-      if (key && value.length) {
-        frontmatter[key.trim()] = value.join(':').trim().replace(/^["']|["']$/g, '');
-      }
-    });
-    return { frontmatter, body: frontmatterMatch[2].trim() };
-  }
-  return { frontmatter: {}, body: content };
+function getAuthHeader() {
+  return `Basic ${Buffer.from(`${WP_USER}:${WP_APP_PASSWORD}`).toString('base64')}`;
 }
 
 /**
@@ -75,13 +106,13 @@ function getNovelSlug(filepath) {
 }
 
 /**
- * Create excerpt (first 500 characters)
+ * Create excerpt (first 500 characters of the rendered text)
  */
-function createExcerpt(content, maxLength = 500) {
-  const plainText = content
-    .replace(/!\[.*?\]\(.*?\)/g, '')  // Remove images
-    .replace(/[#*_`]/g, '')
-    .replace(/\n+/g, ' ')
+function createExcerpt(html, maxLength = 500) {
+  const plainText = decodeEntities(html
+    .replace(/<(figure|table|section)[\s\S]*?<\/\1>/g, '')  // Remove images, tables, footnotes
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
     .trim();
 
   if (plainText.length <= maxLength) return plainText;
@@ -90,75 +121,28 @@ function createExcerpt(content, maxLength = 500) {
 }
 
 /**
- * Convert inline markdown images to use Novels365 URLs
- */
-function convertInlineImages(markdown, novelSlug) {
-  // Convert relative image paths to absolute URLs
-  // ![alt](../_assets/chapters/image.jpg) -> ![alt](https://novels.cqi365.net/assets/novel-slug/image.jpg)
-  return markdown.replace(
-    /!\[(.*?)\]\(\.\.?\/_assets\/(.*?)\)/g,
-    (match, alt, path) => {
-      const imageUrl = `${NOVEL_SITE_URL}/assets/${novelSlug}/${path}`;
-      return `![${alt}](${imageUrl})`;
-    }
-  );
-}
-
-/**
- * Convert markdown to HTML (basic conversion)
+ * WordPress post status and date for a chapter's frontmatter
+ *
+ * A chapter is public on WordPress exactly when the site shows it
+ * (isReleased()); unreleased chapters with a publish_at are scheduled.
+ *
+ * @returns {{ status: 'draft' | 'future' | 'publish', date_gmt?: string }}
  */
-function markdownToHtml(markdown) {
-  let html = markdown;
-
-  // Images
-  html = html.replace(/!\[(.*?)\]\((.*?)\)/g,
-    '<figure style="text-align:center;margin:1.5rem 0;"><img src="$2" alt="$1" style="max-width:100%;height:auto;border-radius:4px;"></figure>');
-
-  // Horizontal rules
-  html = html.replace(/^---+$/gm, '<hr style="margin:2rem 0;border:none;border-top:1px solid #e5e7eb;">');
-
-  // Headers with styling
-  html = html.replace(/^#### (.*$)/gm, '<h4 style="color:#1e3a5f;margin:1.5rem 0 0.75rem;">$1</h4>');
-  html = html.replace(/^### (.*$)/gm, '<h3 style="color:#1e3a5f;margin:1.5rem 0 0.75rem;">$1</h3>');
-  html = html.replace(/^## (.*$)/gm, '<h2 style="color:#1e3a5f;font-size:1.5rem;margin:2rem 0 1rem;border-bottom:2px solid #0d9488;padding-bottom:0.5rem;">$1</h2>');
-  html = html.replace(/^# (.*$)/gm, '<h1 style="color:#1e3a5f;font-size:1.75rem;margin:2rem 0 1rem;">$1</h1>');
-
-  // Blockquotes
-  html = html.replace(/^>\s*(.*)$/gm, '<blockquote style="border-left:4px solid #0d9488;padding:0.75rem 1rem;margin:1rem 0;background:#f8fafc;font-style:italic;color:#475569;">$1</blockquote>');
-  // Merge consecutive blockquotes
-  html = html.replace(/<\/blockquote>\n<blockquote[^>]*>/g, '<br>');
-
-  // Bold and italic
-  html = html.replace(/\*\*\*(.*?)\*\*\*/g, '<strong><em>$1</em></strong>');
-  html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-
-  // Line breaks and paragraphs
-  html = html.replace(/\n\n+/g, '</p>\n<p>');
-  html = html.replace(/([^>])\n([^<])/g, '$1<br>\n$2');
-
-  // Wrap in paragraph
-  html = '<p>' + html + '</p>';
-
-  // Clean up
-  html = html.replace(/<p><\/p>/g, '');
-  html = html.replace(/<p>\s*(<figure)/g, '$1');
-  html = html.replace(/(<\/figure>)\s*<\/p>/g, '$1');
-  html = html.replace(/<p>\s*(<h[1-6])/g, '$1');
-  html = html.replace(/(<\/h[1-6]>)\s*<\/p>/g, '$1');
-  html = html.replace(/<p>\s*(<hr[^>]*>)\s*<\/p>/g, '$1');
-  html = html.replace(/<p>\s*(<blockquote)/g, '$1');
-  html = html.replace(/(<\/blockquote>)\s*<\/p>/g, '$1');
-  html = html.replace(/<p>\s*<\/p>/g, '');
-
-  return html;
+export function getPostSchedule(frontmatter, now = new Date()) {
+  const publishAt = parsePublishAt(frontmatter.publish_at);
+  // WordPress expects "YYYY-MM-DDTHH:MM:SS" without a zone for date_gmt
+  const date = publishAt ? { date_gmt: publishAt.toISOString().slice(0, 19) } : {};
+
+  if (isReleased(frontmatter, now)) return { status: 'publish', ...date };
+  if (frontmatter.status !== 'draft' && publishAt) return { status: 'future', ...date };
+  return { status: 'draft' };
 }
 
 /**
  * Search for existing post by slug
  */
 async function findExistingPost(slug) {
-  const endpoint = `${WP_URL}/wp-json/wp/v2/posts?slug=${encodeURIComponent(slug)}&status=publish,draft`;
+  const endpoint = `${WP_URL}/wp-json/wp/v2/posts?slug=${encodeURIComponent(slug)}&status=publish,future,draft,pending,private`;
 
   const response = await fetch(endpoint, {
     headers: { 'Authorization': getAuthHeader() },
@@ -170,6 +154,17 @@ async function findExistingPost(slug) {
   return posts.length > 0 ? posts[0] : null;
 }
 
+/**
+ * Fetch a post by ID (null if it was deleted)
+ */
+async function findPostById(id) {
+  const response = await fetch(`${WP_URL}/wp-json/wp/v2/posts/${id}?context=edit`, {
+    headers: { 'Authorization': getAuthHeader() },
+  });
+
+  return response.ok ? response.json() : null;
+}
+
 /**
  * Search for existing media by filename
  */
@@ -190,28 +185,11 @@ async function findExistingMedia(filename) {
 }
 
 /**
- * Upload image to WordPress media library
+ * Upload an image to the media library and set its alt text
+ *
+ * @returns {Promise<object|null>} The media item, or null if the upload failed
  */
-async function uploadImageToWordPress(imagePath, altText) {
-  const filename = basename(imagePath);
-
-  // Check if file exists
-  try {
-    await access(imagePath, constants.R_OK);
-  } catch {
-    console.log(`    ⚠ Cover image not found: ${imagePath}`);
-    return null;
-  }
-
-  // Check if already uploaded
-  const existing = await findExistingMedia(filename);
-  if (existing) {
-    console.log(`    ↻ Cover already exists in WP (ID: ${existing.id})`);
-    return existing.id;
-  }
-
-  // Read and upload
-  const imageBuffer = await readFile(imagePath);
+async function createMedia(imageBuffer, filename, altText) {
   const endpoint = `${WP_URL}/wp-json/wp/v2/media`;
 
   // Determine content type
@@ -237,7 +215,7 @@ async function uploadImageToWordPress(imagePath, altText) {
 
   if (!response.ok) {
     const error = await response.text();
-    console.log(`    ⚠ Failed to upload cover: ${error}`);
+    console.log(`    ⚠ Failed to upload ${filename}: ${error}`);
     return null;
   }
 
@@ -255,6 +233,33 @@ async function uploadImageToWordPress(imagePath, altText) {
     });
   }
 
+  return media;
+}
+
+/**
+ * Upload image to WordPress media library
+ */
+async function uploadImageToWordPress(imagePath, altText) {
+  const filename = basename(imagePath);
+
+  // Check if file exists
+  try {
+    await access(imagePath, constants.R_OK);
+  } catch {
+    console.log(`    ⚠ Cover image not found: ${imagePath}`);
+    return null;
+  }
+
+  // Check if already uploaded
+  const existing = await findExistingMedia(filename);
+  if (existing) {
+    console.log(`    ↻ Cover already exists in WP (ID: ${existing.id})`);
+    return existing.id;
+  }
+
+  const media = await createMedia(await readFile(imagePath), filename, altText);
+  if (!media) return null;
+
   console.log(`    ✓ Cover uploaded (ID: ${media.id})`);
   return media.id;
 }
@@ -399,7 +404,7 @@ async function findMediaByFilename(filename) {
 /**
  * Handle cover - supports file path, WordPress URL, media ID, or scene image
  */
-async function resolveCover(chapterFile, frontmatter, novelSlug, chapterContent) {
+async function resolveCover(chapterFile, frontmatter, novelSlug, chapterContent, uploadedMedia = {}) {
   // Priority 1: Direct media ID
   if (frontmatter.cover_media_id) {
     const mediaId = parseInt(frontmatter.cover_media_id, 10);
@@ -429,7 +434,7 @@ async function resolveCover(chapterFile, frontmatter, novelSlug, chapterContent)
   const sceneImage = extractSceneImage(chapterContent);
   if (sceneImage) {
     console.log(`    Scene image found: ${sceneImage}`);
-    const mediaId = await findMediaByFilename(sceneImage);
+    const mediaId = uploadedMedia[`chapters/${sceneImage}`] || await findMediaByFilename(sceneImage);
     if (mediaId) {
       return mediaId;
     }
@@ -439,19 +444,189 @@ async function resolveCover(chapterFile, frontmatter, novelSlug, chapterContent)
   return null;
 }
 
+/**
+ * `../_assets/...` images referenced by a chapter, as Markdown images or
+ * <img> tags, with their alt text
+ *
+ * @returns {{ ref: string, alt: string }[]} One entry per distinct reference
+ */
+function findInlineImages(body) {
+  const images = new Map();
+  const add = (ref, alt) => {
+    if (!images.has(ref)) images.set(ref, { ref, alt: decodeEntities(alt || '') });
+  };
+
+  for (const match of body.matchAll(/!\[([^\]]*)\]\((\.\.?\/_assets\/[^)\s]+)\)/g)) {
+    add(match[2], match[1]);
+  }
+  for (const [tag] of body.matchAll(/<img\b[^>]*>/gi)) {
+    const src = tag.match(/\bsrc=["'](\.\.?\/_assets\/[^"']+)["']/i);
+    const alt = tag.match(/\balt=["']([^"']*)["']/i);
+    if (src) add(src[1], alt?.[1]);
+  }
+
+  return [...images.values()];
+}
+
+/**
+ * Locate and hash a chapter's inline images (hash is null if the file is missing)
+ */
+async function readInlineImages(project, body) {
+  return Promise.all(findInlineImages(body).map(async image => {
+    const path = join(project.assetsDir, image.ref.replace(/^\.\.?\/_assets\//, ''));
+    const contentHash = existsSync(path) ? hash(await readFile(path)) : null;
+    return { ...image, path, hash: contentHash };
+  }));
+}
+
+/**
+ * Upload inline images to the media library (once per distinct file
+ * content, recorded in the ledger) and point the chapter at them
+ *
+ * Images that are missing or fail to upload keep their reference, which
+ * convertAssetPaths() then links to the novel site.
+ */
+async function uploadInlineImages(body, images, state) {
+  const { project, ledger } = state;
+  let result = body;
+
+  for (const image of images) {
+    if (!image.hash) {
+      console.log(`    ⚠ Image not found: ${image.ref}`);
+      continue;
+    }
+
+    let media = ledger.media?.[image.hash];
+    if (!media) {
+      const uploaded = await createMedia(await readFile(image.path), basename(image.path), image.alt);
+      if (!uploaded) continue;
+
+      media = { id: uploaded.id, url: uploaded.source_url, file: image.ref.replace(/^\.\.?\/_assets\//, '') };
+      ledger.media = { ...ledger.media, [image.hash]: media };
+      await saveLedger(project, ledger);
+      console.log(`    ✓ Image uploaded: ${media.file} (ID: ${media.id})`);
+    }
+
+    result = result.split(image.ref).join(media.url);
+  }
+
+  return result;
+}
+
+/**
+ * Look up chapter POV in the project's _meta/chapter_order.md table
+ */
+async function findChapterPov(chapterFile) {
+  const orderFile = join(dirname(chapterFile), '..', '_meta', 'chapter_order.md');
+  if (!existsSync(orderFile)) return null;
+
+  const filename = basename(chapterFile);
+  const rows = parseChapterOrder(await readFile(orderFile, 'utf-8'));
+  const row = rows.find(r => r.filename === filename);
+  return row?.pov || null;
+}
+
+/**
+ * Split a POV value like "張弘毅/Reaper" into individual tag names
+ */
+function povToTags(pov) {
+  if (!pov) return [];
+  return pov
+    .split('/')
+    .map(name => name.replace(/[「」]/g, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Decode the HTML entities WordPress uses in term names
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'");
+}
+
+// Term IDs resolved during this run, per taxonomy
+const termCache = {
+  categories: new Map(),
+  tags: new Map(),
+};
+
+/**
+ * Find a category or tag by exact name, creating it if missing
+ */
+async function resolveTerm(taxonomy, name) {
+  const cache = termCache[taxonomy];
+  if (cache.has(name)) return cache.get(name);
+
+  const searchEndpoint = `${WP_URL}/wp-json/wp/v2/${taxonomy}?search=${encodeURIComponent(name)}&per_page=100`;
+  const searchResponse = await fetch(searchEndpoint, {
+    headers: { 'Authorization': getAuthHeader() },
+  });
+
+  if (searchResponse.ok) {
+    const terms = await searchResponse.json();
+    const match = terms.find(t => decodeEntities(t.name) === name);
+    if (match) {
+      cache.set(name, match.id);
+      return match.id;
+    }
+  }
+
+  const response = await fetch(`${WP_URL}/wp-json/wp/v2/${taxonomy}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': getAuthHeader(),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ name }),
+  });
+
+  const result = await response.json();
+
+  // Search can miss terms that differ only in case/slug; WP reports the existing ID
+  if (!response.ok) {
+    if (result.code === 'term_exists' && result.data?.term_id) {
+      cache.set(name, result.data.term_id);
+      return result.data.term_id;
+    }
+    console.log(`    ⚠ Failed to create ${taxonomy === 'tags' ? 'tag' : 'category'} "${name}": ${result.message || response.status}`);
+    return null;
+  }
+
+  console.log(`    ✓ Created ${taxonomy === 'tags' ? 'tag' : 'category'}: ${name} (ID: ${result.id})`);
+  cache.set(name, result.id);
+  return result.id;
+}
+
+/**
+ * Resolve a list of term names to IDs, dropping failures
+ */
+async function resolveTerms(taxonomy, names) {
+  const ids = [];
+  for (const name of [...new Set(names)]) {
+    const id = await resolveTerm(taxonomy, name);
+    if (id) ids.push(id);
+  }
+  return ids;
+}
+
 /**
  * Post to WordPress (create or update)
  */
-async function postToWordPress(title, content, excerpt, slug, featuredMediaId = null) {
-  // Check if post already exists
-  const existingPost = await findExistingPost(slug);
+async function postToWordPress(title, content, excerpt, slug, featuredMediaId = null, taxonomy = {}, schedule = { status: 'draft' }, postId = null) {
+  // Prefer the post recorded in the ledger; fall back to the slug
+  const existingPost = (postId && await findPostById(postId)) || await findExistingPost(slug);
 
   const postData = {
     title,
     content,
     excerpt,
     slug,
-    status: 'draft',
+    ...schedule,
   };
 
   // Add featured image if provided
@@ -459,6 +634,9 @@ async function postToWordPress(title, content, excerpt, slug, featuredMediaId =
     postData.featured_media = featuredMediaId;
   }
 
+  if (taxonomy.categories?.length) postData.categories = taxonomy.categories;
+  if (taxonomy.tags?.length) postData.tags = taxonomy.tags;
+
   let endpoint, method;
 
   if (existingPost) {
@@ -487,88 +665,412 @@ async function postToWordPress(title, content, excerpt, slug, featuredMediaId =
   return { ...result, isUpdate: !!existingPost };
 }
 
+// Post statuses that are linked from neighbouring chapters and the TOC page
+const LISTED_STATUSES = ['publish', 'future'];
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Ledger and reading order of one novel, loaded once per run
+ *
+ * The order follows _meta/chapter_order.md; chapter files missing from the
+ * table come last, by file name.
+ */
+async function loadNovelState(novelSlug, novel) {
+  const project = describeProject(novelSlug, novel);
+  const files = (await readdir(project.chaptersDir)).filter(f => f.endsWith('.md')).sort();
+  const listed = (await readChapterOrder(project)).map(row => row.filename);
+  const order = [...new Set([...listed, ...files])].filter(file => files.includes(file));
+
+  return { novelSlug, novel, project, order, ledger: await loadLedger(project) };
+}
+
 /**
- * Main function
+ * Previous and next listed chapters around `filename`
+ *
+ * @returns {{ prev: { title: string, link: string } | null, next: { title: string, link: string } | null }}
  */
-async function main() {
-  const files = process.argv.slice(2).filter(f => f.endsWith('.md'));
+function findNeighbours(state, filename) {
+  const { ledger, order } = state;
+  const isListed = file => LISTED_STATUSES.includes(ledger.chapters[file]?.status) && ledger.chapters[file].link;
+  const sequence = order.filter(file => file === filename || isListed(file));
+  const index = sequence.indexOf(filename);
+
+  const toLink = file => (file ? { title: ledger.chapters[file].title, link: ledger.chapters[file].link } : null);
+  if (index === -1) return { prev: null, next: null };
+  return { prev: toLink(sequence[index - 1]), next: toLink(sequence[index + 1]) };
+}
 
-  if (files.length === 0) {
-    console.log('No chapter files to publish.');
-    return;
+/**
+ * Prev / TOC / next links shown under each chapter
+ */
+function renderSeriesNav({ prev, next }, tocLink) {
+  const links = [
+    prev && `<a href="${prev.link}">← 上一章：${escapeHtml(prev.title)}</a>`,
+    tocLink && `<a href="${tocLink}">目錄</a>`,
+    next && `<a href="${next.link}">下一章：${escapeHtml(next.title)} →</a>`,
+  ].filter(Boolean);
+
+  return links.length > 0 ? `<p style="text-align:center;">${links.join(' ｜ ')}</p>` : '';
+}
+
+/**
+ * Publish one chapter unless the ledger shows it's unchanged
+ *
+ * @param {object} state - From loadNovelState()
+ * @param {{ format?: string, images?: string, force?: boolean, refresh?: boolean }} options -
+ *   `refresh`: only publish if the chapter's neighbours or TOC link changed
+ * @returns {Promise<boolean>} Whether the chapter was published
+ */
+async function publishChapter(file, state, { format, images, force = false, refresh = false } = {}) {
+  const { novelSlug, novel, project, ledger } = state;
+  const filename = basename(file);
+  const content = await readFile(file, 'utf-8');
+  const { data: frontmatter, body: rawBody } = parseFrontmatter(content);
+  const body = rawBody.trim();
+
+  const postFormat = format || novel.wordpress?.format || 'html';
+  const imageMode = images || novel.wordpress?.images || 'link';
+  const inlineImages = imageMode === 'upload' ? await readInlineImages(project, body) : [];
+  const pov = frontmatter.pov || await findChapterPov(file);
+  const neighbours = findNeighbours(state, filename);
+  const tocLink = ledger.toc?.link || null;
+
+  // Everything that ends up in the post; navigation is tracked separately so
+  // neighbours can be refreshed without republishing edited chapters
+  const navHash = hash(JSON.stringify({ neighbours, tocLink }));
+  const contentHash = hash(JSON.stringify({
+    content,
+    format: postFormat,
+    images: [imageMode, ...inlineImages.map(image => image.hash)],
+    pov,
+    navHash,
+    siteUrl: NOVEL_SITE_URL,
+    novel: [novel.title, novel.titleEn, novel.coverUrl, novel.tags, novel.wordpress],
+  }));
+  const bodyHash = hash(body);
+
+  const renamedFrom = ledger.chapters[filename] ? null : findRenamedEntry(project, ledger, filename, bodyHash);
+  const entry = ledger.chapters[filename] || ledger.chapters[renamedFrom];
+
+  if (refresh) {
+    if (!entry || entry.navHash === navHash) return false;
+  } else if (entry && !renamedFrom && entry.hash === contentHash && !force) {
+    console.log(`= Unchanged: ${filename}`);
+    return false;
   }
 
-  if (!WP_USER || !WP_APP_PASSWORD) {
-    console.error('Error: WP_USER and WP_APP_PASSWORD environment variables required.');
-    process.exit(1);
+  console.log(`Processing: ${filename}${refresh ? ' (navigation changed)' : ''}`);
+  if (renamedFrom) {
+    console.log(`    ↻ Renamed from ${renamedFrom} (post ID: ${entry.postId})`);
   }
 
-  console.log(`Publishing ${files.length} chapter(s) to WordPress...`);
-  console.log(`Novel site: ${NOVEL_SITE_URL}`);
+  const chapterTitle = frontmatter.title || basename(file, '.md');
+  const chapterSlug = getChapterSlug(file);
+  const chapterUrl = `${NOVEL_SITE_URL}/novel/${novelSlug}/${chapterSlug}`;
+  const wpSlug = generatePostSlug(novelSlug, chapterSlug);
+
+  // Point inline images at the media library (upload mode) or the novel
+  // site, then render like the site. Uploading first lets the scene image
+  // become the featured image on the first publish.
+  const markdown = inlineImages.length > 0 ? await uploadInlineImages(body, inlineImages, state) : body;
+
+  // Handle cover image (supports: cover, cover_url, cover_media_id, or scene image)
+  const uploadedMedia = Object.fromEntries(Object.values(ledger.media || {}).map(media => [media.file, media.id]));
+  const featuredMediaId = await resolveCover(file, frontmatter, novelSlug, body, uploadedMedia);
+
+  const fullContentHtml = await renderMarkdown(convertAssetPaths(markdown, novelSlug), {
+    project: novelSlug,
+    file: basename(file),
+    frontmatter,
+    baseUrl: NOVEL_SITE_URL,
+  });
+
+  // Create WordPress post content (full content + link back)
+  const wpTitle = `【${novel.title}】${chapterTitle}`;
+  const excerpt = createExcerpt(fullContentHtml);
+
+  // Build footer with novel cover
+  const novelCoverHtml = novel.coverUrl
+    ? `<div style="text-align:center;margin:2rem 0;"><img src="${novel.coverUrl}" alt="${novel.title}" style="max-width:300px;border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.15);"></div>`
+    : '';
+
+  const htmlContent = `
+${fullContentHtml}
+
+${renderSeriesNav(neighbours, tocLink)}
+
+<hr>
+
+${novelCoverHtml}
+
+<p style="text-align:center;"><em>本章節來自《${novel.title}》(${novel.titleEn || ''})，前往 <a href="${chapterUrl}" target="_blank">Novels365</a> 閱讀更多章節。</em></p>
+  `.trim();
+
+  const wpContent = postFormat === 'blocks' ? await toGutenbergBlocks(htmlContent) : htmlContent;
+
+  // Category from config, tags from novel tags + chapter POV
+  const categoryName = novel.wordpress?.category;
+  const taxonomy = {
+    categories: categoryName ? await resolveTerms('categories', [categoryName]) : [],
+    tags: await resolveTerms('tags', [...(novel.tags || []), ...povToTags(pov)]),
+  };
+
+  const schedule = getPostSchedule(frontmatter);
+  const result = await postToWordPress(wpTitle, wpContent, excerpt, wpSlug, featuredMediaId, taxonomy, schedule, entry?.postId);
+  const action = result.isUpdate ? '✓ Updated' : '✓ Created';
+  const when = schedule.status === 'future' ? ` at ${schedule.date_gmt}Z` : '';
+  console.log(`  ${action} (${schedule.status}${when}): ${chapterTitle}`);
+  console.log(`    URL: ${result.link}`);
   console.log('');
 
-  for (const file of files) {
-    try {
-      const novelSlug = getNovelSlug(file);
-      const novel = NOVELS[novelSlug];
+  // Record right away so a later failure doesn't lose this chapter
+  if (renamedFrom) delete ledger.chapters[renamedFrom];
+  ledger.chapters[filename] = {
+    postId: result.id,
+    slug: result.slug,
+    link: result.link,
+    title: chapterTitle,
+    status: schedule.status,
+    hash: contentHash,
+    navHash,
+    bodyHash,
+    publishedAt: new Date().toISOString(),
+  };
+  await saveLedger(project, ledger);
+  return true;
+}
 
-      if (!novel) {
-        console.log(`⊘ Skipping ${file}: Unknown novel`);
-        continue;
-      }
+/**
+ * Search for an existing page by slug
+ */
+async function findExistingPage(slug) {
+  const endpoint = `${WP_URL}/wp-json/wp/v2/pages?slug=${encodeURIComponent(slug)}&status=publish,draft,pending,private`;
+
+  const response = await fetch(endpoint, {
+    headers: { 'Authorization': getAuthHeader() },
+  });
+
+  if (!response.ok) return null;
+
+  const pages = await response.json();
+  return pages.length > 0 ? pages[0] : null;
+}
+
+/**
+ * Create a page, or update it by ID
+ *
+ * @returns {Promise<object|null>} The page, or null if `pageId` no longer exists
+ */
+async function savePage(pageId, pageData) {
+  const endpoint = pageId ? `${WP_URL}/wp-json/wp/v2/pages/${pageId}` : `${WP_URL}/wp-json/wp/v2/pages`;
 
-      console.log(`Processing: ${basename(file)}`);
+  const response = await fetch(endpoint, {
+    method: pageId ? 'PUT' : 'POST',
+    headers: {
+      'Authorization': getAuthHeader(),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(pageData),
+  });
 
-      const content = await readFile(file, 'utf-8');
-      const { frontmatter, body } = parseMarkdown(content);
+  if (pageId && response.status === 404) return null;
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`WordPress API error: ${response.status} - ${error}`);
+  }
 
-      const chapterTitle = frontmatter.title || basename(file, '.md');
-      const chapterSlug = getChapterSlug(file);
-      const chapterUrl = `${NOVEL_SITE_URL}/novel/${novelSlug}/${chapterSlug}`;
-      const wpSlug = generatePostSlug(novelSlug, chapterSlug);
+  return response.json();
+}
 
-      // Handle cover image (supports: cover, cover_url, cover_media_id, or scene image)
-      const featuredMediaId = await resolveCover(file, frontmatter, novelSlug, body);
+function getTocPageData(state) {
+  return {
+    title: `【${state.novel.title}】目錄`,
+    slug: generatePostSlug(state.novelSlug, 'contents'),
+    status: 'publish',
+  };
+}
 
-      // Convert inline images to use Novels365 URLs
-      const bodyWithUrls = convertInlineImages(body, novelSlug);
+/**
+ * Make sure the novel's TOC page exists, so chapters can link to it
+ */
+async function ensureTocPage(state) {
+  const { ledger, project } = state;
+  if (ledger.toc?.pageId) return;
 
-      // Convert markdown to HTML for full content
-      const fullContentHtml = markdownToHtml(bodyWithUrls);
+  const pageData = getTocPageData(state);
+  const page = await findExistingPage(pageData.slug) || await savePage(null, { ...pageData, content: '' });
 
-      // Create WordPress post content (full content + link back)
-      const wpTitle = `【${novel.title}】${chapterTitle}`;
-      const excerpt = createExcerpt(body);
+  console.log(`✓ Table of contents page: ${page.link}`);
+  console.log('');
+  ledger.toc = { pageId: page.id, link: page.link, hash: null };
+  await saveLedger(project, ledger);
+}
 
-      // Build footer with novel cover
-      const novelCoverHtml = novel.coverUrl
-        ? `<div style="text-align:center;margin:2rem 0;"><img src="${novel.coverUrl}" alt="${novel.title}" style="max-width:300px;border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.15);"></div>`
-        : '';
+/**
+ * TOC page HTML: listed chapters in reading order, grouped by the novel's parts
+ */
+function renderTocPage(state) {
+  const { novel, novelSlug, order, ledger } = state;
+  const chapters = order.filter(file => LISTED_STATUSES.includes(ledger.chapters[file]?.status) && ledger.chapters[file].link);
+  const parts = novel.parts || [];
+  const findPart = file => parts.find(part => part.chapters.includes(file)) || null;
+
+  const sections = [
+    ...parts.map(part => ({ part, files: chapters.filter(file => findPart(file) === part) })),
+    { part: null, files: chapters.filter(file => findPart(file) === null) },
+  ].filter(section => section.files.length > 0);
+
+  const html = [
+    `<p>《${escapeHtml(novel.title)}》已發布 ${chapters.length} 章，依章節順序排列。也可以前往 <a href="${NOVEL_SITE_URL}/novel/${novelSlug}">Novels365</a> 閱讀。</p>`,
+  ];
+
+  for (const { part, files } of sections) {
+    if (part) {
+      html.push(`<h2>${escapeHtml(part.title)}</h2>`);
+      if (part.description) html.push(`<p>${escapeHtml(part.description)}</p>`);
+    }
+    const items = files.map(file => `<li><a href="${ledger.chapters[file].link}">${escapeHtml(ledger.chapters[file].title)}</a></li>`);
+    html.push(`<ul>\n${items.join('\n')}\n</ul>`);
+  }
 
-      const wpContent = `
-${fullContentHtml}
+  return html.join('\n\n');
+}
 
-<hr>
+/**
+ * Update the TOC page if its content changed (recreating it if it was deleted)
+ */
+async function updateTocPage(state, format) {
+  const { novel, project, ledger } = state;
+  const html = renderTocPage(state);
+  const postFormat = format || novel.wordpress?.format || 'html';
+  const content = postFormat === 'blocks' ? await toGutenbergBlocks(html) : html;
+  const tocHash = hash(content);
 
-${novelCoverHtml}
+  if (ledger.toc.hash === tocHash) return;
 
-<p style="text-align:center;"><em>本章節來自《${novel.title}》(${novel.titleEn || ''})，前往 <a href="${chapterUrl}" target="_blank">Novels365</a> 閱讀更多章節。</em></p>
-      `.trim();
+  const pageData = { ...getTocPageData(state), content };
+  const page = await savePage(ledger.toc.pageId, pageData) || await savePage(null, pageData);
 
-      const result = await postToWordPress(wpTitle, wpContent, excerpt, wpSlug, featuredMediaId);
-      const action = result.isUpdate ? '✓ Updated' : '✓ Created';
-      console.log(`  ${action}: ${chapterTitle}`);
-      console.log(`    URL: ${result.link}`);
-      console.log('');
+  console.log(`✓ Updated table of contents: ${page.link}`);
+  ledger.toc = { pageId: page.id, link: page.link, hash: tocHash };
+  await saveLedger(project, ledger);
+}
 
+/**
+ * Publish chapter files to WordPress
+ *
+ * Afterwards, chapters whose neighbours changed (a chapter was added, moved
+ * or became public) are republished with new prev/next links, and each
+ * novel's TOC page is updated.
+ *
+ * @param {string[]} chapterFiles - Paths under projects/{dir}/chapters/
+ * @param {{ format?: 'html' | 'blocks', images?: 'link' | 'upload', force?: boolean }} [options] -
+ *   `format`: post markup, defaulting to each novel's `wordpress.format`, else
+ *   "html"; `images`: inline image handling, defaulting to `wordpress.images`,
+ *   else "link"; `force`: publish even if the ledger says the chapter is unchanged
+ * @returns {Promise<{ published: number, unchanged: number, skipped: number, failed: number }>}
+ */
+export async function publishChapters(chapterFiles, { format, images, force = false } = {}) {
+  const files = chapterFiles.filter(f => f.endsWith('.md'));
+  const summary = { published: 0, unchanged: 0, skipped: 0, failed: 0 };
+
+  if (files.length === 0) {
+    console.log('No chapter files to publish.');
+    return summary;
+  }
+
+  if (!WP_USER || !WP_APP_PASSWORD) {
+    throw new Error('WP_USER and WP_APP_PASSWORD environment variables required.');
+  }
+
+  const novels = await loadNovels();
+  // Ledger and chapter order, per project directory
+  const states = new Map();
+  const failed = new Set();
+
+  const publish = async (file, state, options) => {
+    try {
+      return await publishChapter(file, state, options);
     } catch (error) {
       console.error(`  ✗ Failed: ${file}`);
       console.error(`    Error: ${error.message}`);
       console.log('');
+      failed.add(basename(file));
+      summary.failed++;
+      return false;
+    }
+  };
+
+  console.log(`Checking ${files.length} chapter(s) against the publish ledger...`);
+  console.log(`Novel site: ${NOVEL_SITE_URL}`);
+  console.log('');
+
+  for (const file of files) {
+    const novelSlug = getNovelSlug(file);
+    const novel = novels[novelSlug];
+
+    if (!novel) {
+      console.log(`⊘ Skipping ${file}: No novels.config.json entry for project "${novelSlug}"`);
+      summary.skipped++;
+      continue;
     }
+
+    if (!states.has(novelSlug)) {
+      try {
+        const state = await loadNovelState(novelSlug, novel);
+        await ensureTocPage(state);
+        states.set(novelSlug, state);
+      } catch (error) {
+        console.error(`✗ Failed to load ${novelSlug}: ${error.message}`);
+        states.set(novelSlug, null);
+      }
+    }
+
+    const state = states.get(novelSlug);
+    if (!state) {
+      summary.failed++;
+      continue;
+    }
+
+    const published = await publish(file, state, { format, images, force });
+    if (published) summary.published++;
+    else if (!failed.has(basename(file))) summary.unchanged++;
   }
 
-  console.log('Done!');
-}
+  for (const state of [...states.values()].filter(Boolean)) {
+    // Refreshed links can change other chapters' neighbours in turn
+    for (let pass = 0; pass < 3; pass++) {
+      let refreshed = 0;
+      for (const file of state.order.filter(f => state.ledger.chapters[f] && !failed.has(f))) {
+        if (await publish(join(state.project.chaptersDir, file), state, { format, images, refresh: true })) {
+          refreshed++;
+          summary.published++;
+        }
+      }
+      if (refreshed === 0) break;
+    }
 
-main().catch(console.error);
+    try {
+      await updateTocPage(state, format);
+    } catch (error) {
+      console.error(`✗ Failed to update ${state.novelSlug} table of contents: ${error.message}`);
+      summary.failed++;
+    }
+
+    // Chapters that were deleted (or renamed and not published in this run)
+    for (const file of findOrphanedEntries(state.project, state.ledger)) {
+      console.log(`⚠ ${state.project.name}: ledger entry for missing chapter ${file} (post ID: ${state.ledger.chapters[file].postId})`);
+    }
+  }
+
+  console.log(`Done! ${summary.published} published, ${summary.unchanged} unchanged, ${summary.skipped} skipped, ${summary.failed} failed.`);
+  return summary;
+}
@@ -0,0 +1,65 @@
+/**
+ * List draft and scheduled chapters
+ *
+ * Usage: node scripts/novels.js schedule [--novel <name> | --all] [--released-within <minutes>]
+ *
+ * Without options, prints every chapter that isn't public yet with its
+ * release time. With --released-within, prints only the paths of chapters
+ * whose publish_at passed in the last N minutes (one per line), which the
+ * scheduled-release workflow uses to decide whether to rebuild the site.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join, relative } from 'path';
+import { parseFrontmatter } from './lib/frontmatter.js';
+import { PROJECT_ROOT, exitIfRunDirectly } from './lib/projects.js';
+import { isReleased, parsePublishAt } from './lib/release.js';
+
+exitIfRunDirectly(import.meta.url, 'schedule');
+
+async function readChapters(project) {
+  const files = (await readdir(project.chaptersDir)).filter(f => f.endsWith('.md')).sort();
+  return Promise.all(files.map(async file => {
+    const path = join(project.chaptersDir, file);
+    const { data } = parseFrontmatter(await readFile(path, 'utf-8'));
+    return { file, path, data, publishAt: parsePublishAt(data.publish_at) };
+  }));
+}
+
+function formatDate(date) {
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Print the project's unreleased chapters
+ *
+ * @returns {Promise<number>} Number of unreleased chapters
+ */
+export async function listSchedule(project, now = new Date()) {
+  const pending = (await readChapters(project)).filter(chapter => !isReleased(chapter.data, now));
+
+  console.log(`${project.name}: ${pending.length} unreleased chapter(s)`);
+
+  pending
+    .sort((a, b) => (a.publishAt?.getTime() ?? Infinity) - (b.publishAt?.getTime() ?? Infinity))
+    .forEach(({ file, data, publishAt }) => {
+      const status = (data.status || 'published').padEnd(10);
+      const when = (publishAt ? formatDate(publishAt) : '—').padEnd(21);
+      console.log(`  ${status} ${when} ${file}  ${data.title || ''}`);
+    });
+
+  return pending.length;
+}
+
+/**
+ * Paths of chapters released within the last `minutes`
+ *
+ * @returns {Promise<string[]>} Paths relative to the repository root
+ */
+export async function findRecentReleases(project, minutes, now = new Date()) {
+  const since = new Date(now.getTime() - minutes * 60 * 1000);
+
+  return (await readChapters(project))
+    .filter(({ data, publishAt }) => publishAt && publishAt > since && isReleased(data, now))
+    .map(({ path }) => relative(PROJECT_ROOT, path).split('\\').join('/'));
+}
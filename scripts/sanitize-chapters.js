@@ -1,59 +1,43 @@
-const fs = require('fs');
-const path = require('path');
+/**
+ * Sanitize chapters - rebuild frontmatter from _meta/chapter_order.md and
+ * strip duplicated frontmatter blocks left behind by earlier edits
+ *
+ * Usage: node scripts/novels.js sanitize [--novel <name> | --all] [--dry-run | --check]
+ */
 
-const projectPath = 'projects/BlindOrbit';
-const orderFile = path.join(projectPath, '_meta/chapter_order.md');
-const chaptersDir = path.join(projectPath, 'chapters');
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter, formatFrontmatter } from './lib/frontmatter.js';
+import { parseChapterOrder, exitIfRunDirectly } from './lib/projects.js';
+import { createChangeSet } from './lib/changes.js';
 
-function parseChapterOrder(content) {
-    const lines = content.split('\n');
-    const mapping = [];
-    const rowRegex = /\|\s*(\d+)\s*\|\s*`([^`]+)`\s*\|\s*([^|]+?)\s*\|/;
-    
-    for (const line of lines) {
-        const match = line.match(rowRegex);
-        if (match) {
-            mapping.push({
-                num: parseInt(match[1], 10),
-                filename: match[2].trim(),
-                title: match[3].trim()
-            });
-        }
-    }
-    return mapping;
-}
+exitIfRunDirectly(import.meta.url, 'sanitize');
 
-function sanitizeChapter(mapping) {
+function sanitizeChapter(chaptersDir, mapping, changes) {
     const filePath = path.join(chaptersDir, mapping.filename);
-    if (!fs.existsSync(filePath)) return;
+    if (!fs.existsSync(filePath)) return false;
 
-    let content = fs.readFileSync(filePath, 'utf-8');
-    
-    // 1. Extract existing metadata to PRESERVE it (like covers)
-    const metadata = {
-        title: mapping.title,
-        order: mapping.num * 10
-    };
+    const content = fs.readFileSync(filePath, 'utf-8');
     
-    // Aggressive cover extraction (from anywhere in file just in case)
-    const coverMatch = content.match(/cover:\s*"(.*)"/);
-    if (coverMatch) metadata.cover = coverMatch[1];
-    const coverUrlMatch = content.match(/cover_url:\s*"(.*)"/);
-    if (coverUrlMatch) metadata.cover_url = coverUrlMatch[1];
-    const coverMediaMatch = content.match(/cover_media_id:\s*"(.*)"/);
-    if (coverMediaMatch) metadata.cover_media_id = coverMediaMatch[1];
+    // 1. Parse existing metadata to PRESERVE it (covers, pov, timeline, ...)
+    const parsed = parseFrontmatter(content);
+    const metadata = { ...parsed.data };
 
-    // 2. Remove ONLY frontmatter blocks at the START of the file
-    let cleanBody = content;
-    const startBlockRegex = /^---\r?\n([\s\S]{0,500}?)\r?\n---\r?\n?/;
+    // 2. Remove duplicate frontmatter blocks stacked at the START of the body,
+    //    keeping any fields the first block didn't have
+    let cleanBody = parsed.body;
     
     while (true) {
-        const match = cleanBody.match(startBlockRegex);
-        if (match && match[1].includes(':')) {
-            cleanBody = cleanBody.replace(startBlockRegex, '').trimStart();
-        } else {
-            break;
+        const stacked = parseFrontmatter(cleanBody.trimStart());
+        const isFrontmatter = stacked.hasFrontmatter &&
+            Object.keys(stacked.data).length > 0 &&
+            stacked.entries.every(entry => entry.key || /^\s*(#.*)?$/.test(entry.lines[0]));
+        if (!isFrontmatter) break;
+
+        for (const [key, value] of Object.entries(stacked.data)) {
+            if (!(key in metadata)) metadata[key] = value;
         }
+        cleanBody = stacked.body;
     }
 
     // NEW: Also remove any frontmatter blocks that might be stuck in the body
@@ -64,22 +48,27 @@ function sanitizeChapter(mapping) {
     // 3. Final trim
     cleanBody = cleanBody.trim();
 
-    // 4. Build NEW frontmatter
-    let fm = '---\ntitle: "'+metadata.title+'"\norder: '+metadata.order+'\n';
-    if (metadata.cover) fm += `cover: "${metadata.cover}"\n`;
-    if (metadata.cover_url) fm += `cover_url: "${metadata.cover_url}"\n`;
-    if (metadata.cover_media_id) fm += `cover_media_id: "${metadata.cover_media_id}"\n`;
-    fm += '---\n\n';
+    // 4. Build NEW frontmatter (title and order always come from the order file)
+    metadata.title = mapping.title;
+    metadata.order = mapping.num * 10;
 
-    const newContent = fm + cleanBody;
+    const newContent = `${formatFrontmatter(metadata, parsed)}\n\n${cleanBody}`;
     
-    fs.writeFileSync(filePath, newContent, 'utf-8');
+    if (!changes.write(filePath, content, newContent)) return false;
     console.log(`Sanitized: ${mapping.filename}`);
+    return true;
 }
 
-const mdContent = fs.readFileSync(orderFile, 'utf-8');
-const mappings = parseChapterOrder(mdContent);
-
-console.log(`Sanitizing ${mappings.length} chapters...`);
-mappings.forEach(sanitizeChapter);
-console.log('Done.');
+export function sanitizeChapters(project, { changes = createChangeSet() } = {}) {
+    if (!fs.existsSync(project.chapterOrderFile)) {
+        throw new Error(`Chapter order file not found: ${project.chapterOrderFile}`);
+    }
+    
+    const mdContent = fs.readFileSync(project.chapterOrderFile, 'utf-8');
+    const mappings = parseChapterOrder(mdContent).filter(m => m.num !== null);
+    
+    console.log(`Sanitizing ${mappings.length} chapters...`);
+    const changed = mappings.filter(mapping => sanitizeChapter(project.chaptersDir, mapping, changes)).length;
+    console.log('Done.');
+    return changed;
+}
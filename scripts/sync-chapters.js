@@ -1,24 +1,67 @@
-#!/usr/bin/env node
 /**
  * Sync chapters and assets from projects/ to site/
  *
- * Usage: node scripts/sync-chapters.js [novel-name]
- * Example: node scripts/sync-chapters.js 2028ww3
+ * Usage: node scripts/novels.js sync [--novel <name> | --all] [--watch]
  *
- * This script:
- * - Syncs chapters to site/src/content/novels/{novel}/
+ * This command:
+ * - Syncs chapters to site/src/content/novels/{novel}/, adding `date` and
+ *   `updated` (first and last commit, following renames) for the feeds, and
+ *   the POV from _meta/chapter_order.md and the theatre from the file name
+ *   (`region`) when the chapter doesn't set them
  * - Syncs assets to site/public/assets/{novel}/
+ * - Writes resized AVIF/WebP variants of raster images to
+ *   site/public/images/{novel}/ (see lib/images.js)
+ * - Parses the glossary of novels that configure one into
+ *   site/src/data/glossary.json (see lib/glossary.js), and
+ *   _characters/character_master.md into site/src/data/characters.json
+ *   (see lib/characters.js)
+ * - Extracts the scene datelines of novels with a `timeline` config into
+ *   site/src/data/timeline.json (see lib/timeline.js), and the scene
+ *   locations of novels with a `places` config into
+ *   site/src/data/places.json (see lib/places.js)
+ * - Records the novels with a `zhHans` config, and their phrase overrides,
+ *   in site/src/data/zh-hans.json (see lib/zh-hans.js)
+ * - Only writes files whose content changed (hashes are kept in
+ *   site/.sync-manifest.json), and removes destination files whose
+ *   source chapter or image no longer exists
+ * - With --watch, keeps syncing as files under chapters/, _assets/,
+ *   chapter_order.md, the glossary, the character master, the grand
+ *   timeline, the place list and the zh-Hans overrides change
  */
 
-import { readdir, readFile, writeFile, mkdir, copyFile } from 'fs/promises';
-import { join, basename, dirname } from 'path';
-import { existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-
-// Basic paths relative to the script's likely execution contexts
-const PROJECTS_DIR = existsSync('./projects') ? './projects' : '../projects';
-const CONTENT_DIR = existsSync('./site') ? './site/src/content/novels' : './src/content/novels';
-const PUBLIC_ASSETS_DIR = existsSync('./site') ? './site/public/assets' : './public/assets';
+import { readdir, readFile, writeFile, mkdir, copyFile, stat, unlink, rm } from 'fs/promises';
+import { basename, dirname, join, relative } from 'path';
+import { existsSync, watch } from 'fs';
+import { createHash } from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { parseFrontmatter, formatFrontmatter } from './lib/frontmatter.js';
+import { PROJECT_ROOT, SITE_DIR, readChapterOrder, exitIfRunDirectly } from './lib/projects.js';
+import { convertAssetPaths } from './lib/markdown.js';
+import {
+  IMAGES_DIR,
+  isRasterImage,
+  loadImagesData,
+  saveImagesData,
+  ensureVariants,
+} from './lib/images.js';
+import { getGlossaryPath, loadGlossaryData, saveGlossaryData, syncGlossary } from './lib/glossary.js';
+import { getCharactersPath, loadCharactersData, saveCharactersData, syncCharacters } from './lib/characters.js';
+import { getTimelinePath, loadTimelineData, saveTimelineData, syncTimeline } from './lib/timeline.js';
+import { getPlacesPath, loadPlacesData, savePlacesData, syncPlaces } from './lib/places.js';
+import { getZhHansPath, loadZhHansData, saveZhHansData, syncZhHans } from './lib/zh-hans.js';
+
+exitIfRunDirectly(import.meta.url, 'sync');
+
+const CONTENT_DIR = join(SITE_DIR, 'src/content/novels');
+const PUBLIC_ASSETS_DIR = join(SITE_DIR, 'public/assets');
+const MANIFEST_PATH = join(SITE_DIR, '.sync-manifest.json');
+
+// Supported image extensions
+const IMAGE_EXTS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
+
+// Wait for editors to finish writing before syncing
+const WATCH_DELAY_MS = 200;
 
 // Chapter order mapping based on file naming convention
 function getChapterOrder(filename) {
@@ -31,88 +74,150 @@ function getChapterOrder(filename) {
   return mainNum * 10 + subNum;
 }
 
-// Extract frontmatter from markdown
-function parseFrontmatter(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---/);
-  if (match) {
-    return {
-      frontmatter: match[1],
-      body: content.slice(match[0].length).trim()
-    };
-  }
-  return { frontmatter: null, body: content };
-}
+// Theatre encoded in the file name, e.g. Chap_15_Europe_The_Last_Train.md
+const REGION_REGEX = /^Chap_\d+(?:-[A-Z])?_(Asia|Europe|MiddleEast|Global|Interlude)_/;
 
-// Parse existing YAML frontmatter into object
-function parseYamlFrontmatter(frontmatterStr) {
-  if (!frontmatterStr) return {};
-  const obj = {};
-  frontmatterStr.split('\n').forEach(line => {
-    const colonIdx = line.indexOf(':');
-    if (colonIdx > 0) {
-      const key = line.substring(0, colonIdx).trim();
-      const value = line.substring(colonIdx + 1).trim().replace(/^["']|["']$/g, '');
-      obj[key] = value;
-    }
-  });
-  return obj;
+function getChapterRegion(filename) {
+  return filename.match(REGION_REGEX)?.[1];
 }
 
-// Convert relative asset paths to absolute public paths
-function convertAssetPaths(content, novelName) {
-  // Convert Markdown format: (../_assets/...) to (/assets/{novelName}/...)
-  let result = content.replace(
-    /\(\.\.?\/_assets\/(.*?)\)/g,
-    (match, path) => `(/assets/${novelName}/${path})`
-  );
-
-  // Convert HTML img format: src="../_assets/..." to src="/assets/{novelName}/..."
-  result = result.replace(
-    /src="\.\.?\/_assets\/(.*?)"/g,
-    (match, path) => `src="/assets/${novelName}/${path}"`
-  );
-
-  return result;
+const execFileAsync = promisify(execFile);
+
+/**
+ * First and last commit dates of a chapter, following renames
+ *
+ * Empty for uncommitted files or without git. Shallow clones only see the
+ * latest commit, so both dates are that commit's.
+ *
+ * @returns {Promise<{ date?: string, updated?: string }>}
+ */
+async function getGitDates(path) {
+  try {
+    const { stdout } = await execFileAsync('git', ['log', '--follow', '--format=%aI', '--', path], { cwd: PROJECT_ROOT });
+    const dates = stdout.split('\n').filter(Boolean);
+    if (dates.length === 0) return {};
+    return { date: dates[dates.length - 1], updated: dates[0] };
+  } catch {
+    return {};
+  }
 }
 
 // Generate frontmatter for chapter, preserving existing fields
-function generateFrontmatter(filename, existingFrontmatter) {
-  const existing = parseYamlFrontmatter(existingFrontmatter);
-  const order = getChapterOrder(filename);
-
+function generateFrontmatter(filename, parsed, gitDates = {}, orderPov = '') {
   // Extract title from filename (use existing if available)
   const titleMatch = filename.match(/Chap_\d+(?:-[A-Z])?_[^_]+_(.+)\.md$/);
   const defaultTitle = titleMatch
     ? titleMatch[1].replace(/_/g, ' ')
     : filename.replace('.md', '');
 
-  // Build frontmatter, preserving cover fields
+  // Keep every existing field (cover, pov, timeline, ...); order always follows the filename.
+  // Dates written in the chapter win over the git history.
   const fields = {
-    title: existing.title || defaultTitle,
-    order: order,
+    ...parsed.data,
+    date: parsed.data.date ?? gitDates.date,
+    updated: parsed.data.updated ?? gitDates.updated,
+    pov: parsed.data.pov ?? (orderPov || undefined),
+    region: parsed.data.region ?? getChapterRegion(filename),
+    title: parsed.data.title || defaultTitle,
+    order: getChapterOrder(filename),
   };
 
-  // Preserve cover fields if they exist
-  if (existing.cover) fields.cover = existing.cover;
-  if (existing.cover_url) fields.cover_url = existing.cover_url;
-  if (existing.cover_media_id) fields.cover_media_id = existing.cover_media_id;
+  return formatFrontmatter(fields, parsed);
+}
+
+function hash(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Manifest of synced files, keyed by path relative to site/
+ *
+ * Chapters record the hash of the written content; assets also record the
+ * source size and mtime so unchanged images are not re-read on every sync.
+ */
+async function loadManifest() {
+  try {
+    const manifest = JSON.parse(await readFile(MANIFEST_PATH, 'utf-8'));
+    return { files: {}, ...manifest };
+  } catch {
+    return { files: {} };
+  }
+}
+
+async function saveManifest(manifest) {
+  await writeFile(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+function manifestKey(destPath) {
+  return relative(SITE_DIR, destPath).split('\\').join('/');
+}
+
+/**
+ * List every file under a directory (recursively)
+ */
+async function listFiles(dir) {
+  if (!existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Remove files under `dir` that were not produced by this sync, then any
+ * directories left empty
+ *
+ * @param {string} dir - Destination directory owned by the sync
+ * @param {Set<string>} expected - Destination paths written or kept this run
+ * @returns {Promise<number>} Number of files removed
+ */
+async function pruneDir(dir, expected, manifest) {
+  let removed = 0;
+
+  for (const path of await listFiles(dir)) {
+    if (expected.has(path)) continue;
+    await unlink(path);
+    delete manifest.files[manifestKey(path)];
+    console.log(`  ✗ Removed ${relative(dir, path)}`);
+    removed++;
+  }
+
+  // Forget manifest entries whose files were deleted by hand
+  const prefix = `${manifestKey(dir)}/`;
+  for (const key of Object.keys(manifest.files)) {
+    if (key.startsWith(prefix) && !expected.has(join(SITE_DIR, key))) {
+      delete manifest.files[key];
+    }
+  }
 
-  // Build YAML string
-  const lines = Object.entries(fields).map(([key, value]) => {
-    if (typeof value === 'number') return `${key}: ${value}`;
-    return `${key}: "${value}"`;
-  });
+  async function removeEmptyDirs(path) {
+    const entries = await readdir(path, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isDirectory()) await removeEmptyDirs(join(path, entry.name));
+    }
+    if (path !== dir && (await readdir(path)).length === 0) {
+      await rm(path, { recursive: true });
+    }
+  }
+  if (existsSync(dir)) await removeEmptyDirs(dir);
 
-  return `---\n${lines.join('\n')}\n---`;
+  return removed;
 }
 
-async function syncNovel(novelName) {
-  const projectDir = join(PROJECTS_DIR, novelName, 'chapters');
+async function syncNovel(project, manifest) {
+  const novelName = project.name;
+  const projectDir = project.chaptersDir;
   const contentDir = join(CONTENT_DIR, novelName);
 
   if (!existsSync(projectDir)) {
-    console.error(`Project not found: ${projectDir}`);
-    process.exit(1);
+    throw new Error(`Project not found: ${projectDir}`);
   }
 
   // Ensure content directory exists
@@ -124,94 +229,213 @@ async function syncNovel(novelName) {
 
   console.log(`Syncing ${mdFiles.length} chapters from ${novelName}...`);
 
+  const povByFile = new Map((await readChapterOrder(project)).map(row => [row.filename, row.pov]));
+
+  const expected = new Set();
+  let updatedCount = 0;
+
   for (const file of mdFiles) {
     const srcPath = join(projectDir, file);
     const destPath = join(contentDir, file);
+    expected.add(destPath);
 
     const content = await readFile(srcPath, 'utf-8');
-    const { frontmatter, body } = parseFrontmatter(content);
+    const parsed = parseFrontmatter(content);
 
     // Add or update frontmatter
-    const newFrontmatter = generateFrontmatter(file, frontmatter);
+    const newFrontmatter = generateFrontmatter(file, parsed, await getGitDates(srcPath), povByFile.get(file));
 
     // Convert relative asset paths to absolute public paths
-    const convertedBody = convertAssetPaths(body, novelName);
+    const convertedBody = convertAssetPaths(parsed.body.trim(), novelName);
     const newContent = `${newFrontmatter}\n\n${convertedBody}`;
 
+    const key = manifestKey(destPath);
+    const contentHash = hash(newContent);
+    if (manifest.files[key]?.hash === contentHash && existsSync(destPath)) continue;
+
     await writeFile(destPath, newContent);
+    manifest.files[key] = { hash: contentHash };
     console.log(`  ✓ ${file}`);
+    updatedCount++;
   }
 
-  console.log(`Done! ${mdFiles.length} chapters synced.`);
+  const removedCount = await pruneDir(contentDir, expected, manifest);
+  console.log(`Done! ${updatedCount} of ${mdFiles.length} chapters updated, ${removedCount} removed.`);
 }
 
 /**
  * Sync assets from project _assets to public folder
  */
-async function syncAssets(novelName) {
-  const assetsDir = join(PROJECTS_DIR, novelName, '_assets');
+async function syncAssets(project, manifest, imagesData) {
+  const novelName = project.name;
+  const assetsDir = project.assetsDir;
   const publicDir = join(PUBLIC_ASSETS_DIR, novelName);
+  const variantsDir = join(IMAGES_DIR, novelName);
+  const expected = new Set();
+  const expectedVariants = new Set();
+  const expectedImages = new Set();
+
+  // Drop variants and image data whose original is gone
+  const pruneVariants = async () => {
+    await pruneDir(variantsDir, expectedVariants, manifest);
+    for (const publicPath of Object.keys(imagesData)) {
+      if (publicPath.startsWith(`/assets/${novelName}/`) && !expectedImages.has(publicPath)) {
+        delete imagesData[publicPath];
+      }
+    }
+  };
 
   if (!existsSync(assetsDir)) {
     console.log(`\nNo _assets directory for ${novelName}, skipping assets sync.`);
+    await pruneDir(publicDir, expected, manifest);
+    await pruneVariants();
     return;
   }
 
-  // Ensure public assets directory exists
-  await mkdir(publicDir, { recursive: true });
+  console.log(`\nSyncing assets for ${novelName}...`);
 
-  // Supported image extensions
-  const imageExts = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
+  const images = (await listFiles(assetsDir))
+    .filter(path => IMAGE_EXTS.some(ext => path.toLowerCase().endsWith(ext)));
 
-  async function copyDir(src, dest) {
-    await mkdir(dest, { recursive: true });
-    const entries = await readdir(src, { withFileTypes: true });
+  let copiedCount = 0;
+  let variantCount = 0;
+  for (const srcPath of images) {
+    const assetPath = relative(assetsDir, srcPath).split('\\').join('/');
+    const destPath = join(publicDir, assetPath);
+    const key = manifestKey(destPath);
+    expected.add(destPath);
 
-    let count = 0;
-    for (const entry of entries) {
-      const srcPath = join(src, entry.name);
-      const destPath = join(dest, entry.name);
+    const { size, mtimeMs } = await stat(srcPath);
+    const entry = manifest.files[key];
+    let srcHash = entry?.hash;
+
+    // Re-check only sources changed since the last sync
+    if (!(entry && entry.size === size && entry.mtimeMs === mtimeMs && existsSync(destPath))) {
+      srcHash = hash(await readFile(srcPath));
 
-      if (entry.isDirectory()) {
-        count += await copyDir(srcPath, destPath);
-      } else if (imageExts.some(ext => entry.name.toLowerCase().endsWith(ext))) {
+      // Changed timestamps (e.g. a fresh checkout) but identical bytes: keep the copy
+      const isCurrent = existsSync(destPath) && hash(await readFile(destPath)) === srcHash;
+
+      if (!isCurrent) {
+        await mkdir(join(destPath, '..'), { recursive: true });
         await copyFile(srcPath, destPath);
-        console.log(`  ✓ ${entry.name}`);
-        count++;
+        console.log(`  ✓ ${assetPath}`);
+        copiedCount++;
+      }
+      manifest.files[key] = { hash: srcHash, size, mtimeMs };
+    }
+
+    if (isRasterImage(srcPath)) {
+      const publicPath = `/assets/${novelName}/${assetPath}`;
+      const variantPath = `${novelName}/${assetPath.replace(/\.[^.]+$/, '')}`;
+      const variants = await ensureVariants(imagesData, srcPath, srcHash, publicPath, variantPath);
+
+      expectedImages.add(publicPath);
+      variants.files.forEach(file => expectedVariants.add(file));
+      if (variants.generated) {
+        console.log(`  ✓ ${assetPath} (${variants.files.length} responsive variants)`);
+        variantCount++;
       }
     }
-    return count;
   }
 
-  console.log(`\nSyncing assets for ${novelName}...`);
-  const assetCount = await copyDir(assetsDir, publicDir);
-  console.log(`Done! ${assetCount} assets synced.`);
+  const removedCount = await pruneDir(publicDir, expected, manifest);
+  await pruneVariants();
+  console.log(`Done! ${copiedCount} of ${images.length} assets copied, ${variantCount} resized, ${removedCount} removed.`);
 }
 
-// Main
-async function main() {
-  let novelName = process.argv[2];
-  
-  if (!novelName) {
-    // Try to auto-detect from projects folder
-    const projects = (await readdir(PROJECTS_DIR, { withFileTypes: true }))
-      .filter(dirent => dirent.isDirectory())
-      .map(dirent => dirent.name);
-    
-    if (projects.length === 1) {
-      novelName = projects[0];
-      console.log(`Auto-detected project: ${novelName}`);
-    } else if (projects.includes('BlindOrbit')) {
-      novelName = 'BlindOrbit';
-    } else {
-      novelName = '2028ww3'; // Legacy default
+/**
+ * Sync chapters and assets for the selected projects
+ */
+export async function syncChapters(projects) {
+  const manifest = await loadManifest();
+  const imagesData = await loadImagesData();
+  const glossaryData = await loadGlossaryData();
+  let charactersData = await loadCharactersData();
+  const timelineData = await loadTimelineData();
+  const placesData = await loadPlacesData();
+  const zhHansData = await loadZhHansData();
+
+  try {
+    for (const project of projects) {
+      await syncNovel(project, manifest);
+      await syncAssets(project, manifest, imagesData);
+
+      const termCount = await syncGlossary(project, glossaryData);
+      if (termCount > 0) console.log(`\nGlossary for ${project.name}: ${termCount} terms`);
+
+      const characters = await syncCharacters(project, charactersData);
+      charactersData = characters.data;
+      if (characters.count > 0) console.log(`Characters for ${project.name}: ${characters.count} profiles`);
+
+      const sceneCount = await syncTimeline(project, timelineData);
+      if (sceneCount > 0) console.log(`Timeline for ${project.name}: ${sceneCount} scenes`);
+
+      const placedCount = await syncPlaces(project, placesData);
+      if (placedCount > 0) console.log(`Places for ${project.name}: ${placedCount} scenes`);
+
+      const overrideCount = await syncZhHans(project, zhHansData);
+      if (overrideCount !== null) console.log(`zh-Hans edition for ${project.name}: ${overrideCount} overrides`);
     }
+  } finally {
+    // Keep what was synced so far even if a project failed
+    await saveManifest(manifest);
+    await saveImagesData(imagesData);
+    await saveGlossaryData(glossaryData);
+    await saveCharactersData(charactersData);
+    await saveTimelineData(timelineData);
+    await savePlacesData(placesData);
+    await saveZhHansData(zhHansData);
   }
 
-  await syncNovel(novelName);
-  await syncAssets(novelName);
-
   console.log('\nAll done!');
 }
 
-main().catch(console.error);
+/**
+ * Sync once, then re-sync a project whenever its chapters or assets change
+ *
+ * Runs until interrupted; run it next to `npm run dev` so the dev server
+ * picks up edits in projects/ live.
+ */
+export async function watchChapters(projects) {
+  await syncChapters(projects);
+
+  // Serialize syncs so overlapping events never write the same file twice
+  let queue = Promise.resolve();
+  const timers = new Map();
+
+  const schedule = (project) => {
+    clearTimeout(timers.get(project.name));
+    timers.set(project.name, setTimeout(() => {
+      queue = queue.then(() => syncChapters([project])).catch(error => {
+        console.error(`Error: ${error.message}`);
+      });
+    }, WATCH_DELAY_MS));
+  };
+
+  for (const project of projects) {
+    for (const dir of [project.chaptersDir, project.assetsDir]) {
+      if (!existsSync(dir)) continue;
+      watch(dir, { recursive: true }, () => schedule(project));
+    }
+
+    // Watch the directory: editors often save by replacing the file
+    const dataFiles = [
+      getGlossaryPath(project),
+      getCharactersPath(project),
+      getTimelinePath(project),
+      getPlacesPath(project),
+      getZhHansPath(project),
+      project.chapterOrderFile,
+    ];
+    for (const path of dataFiles) {
+      if (!path || !existsSync(dirname(path))) continue;
+      watch(dirname(path), (_, file) => file === basename(path) && schedule(project));
+    }
+  }
+
+  console.log(`\nWatching ${projects.map(p => p.name).join(', ')} for changes (Ctrl+C to stop)...`);
+
+  // Watchers keep the process alive until it is interrupted
+  return new Promise(() => {});
+}
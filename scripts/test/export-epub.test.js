@@ -0,0 +1,79 @@
+/**
+ * Structural validation of the EPUB export (export-epub.js) on a real novel
+ *
+ * The book is built from projects/BlindOrbit with a local cover, so the test
+ * doesn't download anything; checkPackage() must accept it and reject the
+ * broken variants below.
+ */
+
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfiguredProjects } from '../lib/projects.js';
+import { buildEpub, checkPackage } from '../export-epub.js';
+
+let book;
+
+before(async () => {
+  const project = (await getConfiguredProjects()).find(p => p.name === 'BlindOrbit');
+  const config = {
+    ...project.config,
+    epub: { ...project.config.epub, cover: 'chapters/blind-orbit_cover.jpg' },
+  };
+  book = await buildEpub({ ...project, config });
+});
+
+function file(name) {
+  return book.entries.find(entry => entry.name === name);
+}
+
+function withEntries(transform) {
+  return checkPackage(transform(book.entries.map(entry => ({ ...entry }))));
+}
+
+test('the exported book passes the structural check', () => {
+  assert.ok(book.chapterCount > 0);
+  assert.deepEqual(checkPackage(book.entries), []);
+});
+
+test('the package has a cover image, a nav document and the chapters in the spine', () => {
+  const opf = file('OEBPS/content.opf').data;
+  assert.match(opf, /<item id="[^"]+" href="images\/[^"]+" media-type="image\/jpeg" properties="cover-image" \/>/);
+  assert.match(opf, /<item id="nav" href="nav\.xhtml" media-type="application\/xhtml\+xml" properties="nav" \/>/);
+  assert.equal((opf.match(/<itemref idref="chapter-\d+" \/>/g) || []).length, book.chapterCount);
+  assert.match(file('OEBPS/nav.xhtml').data, /<nav epub:type="toc" id="toc">/);
+});
+
+test('mimetype must come first and be stored', () => {
+  const problems = withEntries(entries => [...entries.slice(1), entries[0]]);
+  assert.ok(problems.includes('mimetype must be the first, uncompressed entry'));
+
+  const compressed = withEntries(entries => [{ ...entries[0], store: false }, ...entries.slice(1)]);
+  assert.ok(compressed.includes('mimetype must be the first, uncompressed entry'));
+});
+
+test('missing and unlisted files are reported', () => {
+  const image = book.entries.find(entry => entry.name.startsWith('OEBPS/images/'));
+  const missing = withEntries(entries => entries.filter(entry => entry !== entries.find(e => e.name === image.name)));
+  assert.ok(missing.some(problem => problem.startsWith('manifest item missing from the archive: images/')));
+
+  const extra = withEntries(entries => [...entries, { name: 'OEBPS/notes.txt', data: '' }]);
+  assert.ok(extra.includes('file not in the manifest: OEBPS/notes.txt'));
+});
+
+test('duplicate ids, unknown spine items and broken links are reported', () => {
+  const edit = (name, replace) => withEntries(entries => entries.map(entry =>
+    (entry.name === name ? { ...entry, data: replace(entry.data) } : entry)
+  ));
+
+  const duplicate = edit('OEBPS/content.opf', opf => opf.replace('<item id="css"', '<item id="nav"'));
+  assert.ok(duplicate.includes('duplicate manifest id nav'));
+
+  const spine = edit('OEBPS/content.opf', opf => opf.replace('<itemref idref="chapter-001" />', '<itemref idref="chapter-999" />'));
+  assert.ok(spine.includes('spine references unknown item chapter-999'));
+
+  const link = edit('OEBPS/text/chapter-001.xhtml', xhtml => xhtml.replace('</section>', '<a href="chapter-999.xhtml">next</a></section>'));
+  assert.ok(link.includes('text/chapter-001.xhtml links to chapter-999.xhtml, which is not in the manifest'));
+
+  const container = edit('META-INF/container.xml', xml => xml.replace('OEBPS/content.opf', 'content.opf'));
+  assert.deepEqual(container, ['container.xml does not point to the package document']);
+});
@@ -0,0 +1,91 @@
+/**
+ * Round-trip tests for lib/frontmatter.js against chapter fixtures
+ *
+ * Fixtures in fixtures/frontmatter/ are taken from real chapters, including
+ * their missing final newline. Run with `npm test` from site/.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { parseFrontmatter, stringifyFrontmatter } from '../lib/frontmatter.js';
+
+const FIXTURES_DIR = new URL('fixtures/frontmatter/', import.meta.url);
+
+function readFixture(name) {
+  return readFileSync(new URL(name, FIXTURES_DIR), 'utf-8');
+}
+
+function roundTrip(content) {
+  const parsed = parseFrontmatter(content);
+  return stringifyFrontmatter({ ...parsed.data }, parsed.body, parsed);
+}
+
+for (const name of readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.md'))) {
+  test(`${name}: parse → stringify is byte-identical`, () => {
+    const content = readFixture(name);
+    assert.equal(roundTrip(content), content);
+  });
+
+  test(`${name}: round-trips with CRLF line endings`, () => {
+    const content = readFixture(name).replace(/\n/g, '\r\n');
+    assert.equal(roundTrip(content), content);
+  });
+}
+
+test('order: 0 of the prologue is the number 0', () => {
+  const { data, body } = parseFrontmatter(readFixture('chap00-order-zero.md'));
+  assert.equal(data.order, 0);
+  assert.equal(data.title, '序章：火藥桶');
+  assert.equal(data.cover_url, 'https://i0.wp.com/blog.cqi365.net/wp-content/uploads/2025/12/image.png?w=1024&ssl=1');
+  assert.ok(body.startsWith('\n---\n'));
+});
+
+test('unknown keys, quotes, colons and comments keep their values and types', () => {
+  const { data } = parseFrontmatter(readFixture('chap11-pov-comments.md'));
+  assert.deepEqual(data, {
+    title: '第十一章：內爆',
+    order: 110,
+    pov: '林雅婷',
+    timeline: 'T+1天',
+    subtitle: '她說："不要\'回頭"',
+    summary: '醫院停電："孤島"的第一夜',
+    places: ['台大醫院', '台北: 中正區'],
+    draft: false,
+  });
+});
+
+test('a trailing comment does not turn a number or boolean into a string', () => {
+  const { data } = parseFrontmatter('---\norder: 10 # note\nfeatured: true # pinned\nnote: "a # b" # c\ntag: a#b\n---\n');
+  assert.deepEqual(data, { order: 10, featured: true, note: 'a # b', tag: 'a#b' });
+});
+
+test('changing one value rewrites only that line', () => {
+  const content = readFixture('chap11-pov-comments.md');
+  const parsed = parseFrontmatter(content);
+  const output = stringifyFrontmatter({ ...parsed.data, order: 115 }, parsed.body, parsed);
+  assert.equal(output, content.replace('order: 110 # 台灣線第四章', 'order: 115'));
+  assert.deepEqual(parseFrontmatter(output).data, { ...parsed.data, order: 115 });
+});
+
+test('new values are appended and parse back with their types', () => {
+  const content = readFixture('chap21-no-trailing-newline.md');
+  const parsed = parseFrontmatter(content);
+  const data = { ...parsed.data, status: 'scheduled', publish_at: '2026-01-01T08:00:00+08:00', order: 0, subtitle: 'He said: "no"' };
+  const output = stringifyFrontmatter(data, parsed.body, parsed);
+  assert.ok(output.endsWith('---'));
+  assert.deepEqual(parseFrontmatter(output).data, data);
+});
+
+test('values the frontmatter subset cannot represent are rejected', () => {
+  const parsed = parseFrontmatter(readFixture('chap06-timeline.md'));
+  for (const value of [{ city: '華沙' }, [['a']], NaN, Infinity]) {
+    assert.throws(() => stringifyFrontmatter({ ...parsed.data, extra: value }, parsed.body, parsed), TypeError);
+  }
+});
+
+test('a file without frontmatter gets a block followed by a blank line', () => {
+  const parsed = parseFrontmatter('# 第一章\n\n正文');
+  assert.equal(stringifyFrontmatter({}, parsed.body, parsed), '# 第一章\n\n正文');
+  assert.equal(stringifyFrontmatter({ order: 10 }, parsed.body, parsed), '---\norder: 10\n---\n\n# 第一章\n\n正文');
+});
@@ -0,0 +1,62 @@
+/**
+ * Golden-file tests for lib/markdown.js: chapter excerpts in
+ * fixtures/markdown/ rendered to HTML (.html) and Gutenberg blocks
+ * (.blocks.html) as publish-to-wp.js does
+ *
+ * The excerpts are rendered as a novel without synced site data, so the
+ * output doesn't depend on the last `novels.js sync`. After an intended
+ * change in the pipeline, rewrite the golden files and review the diff:
+ *
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { SITE_DIR } from '../lib/projects.js';
+import { convertAssetPaths, renderMarkdown, toGutenbergBlocks } from '../lib/markdown.js';
+
+const FIXTURES_DIR = new URL('fixtures/markdown/', import.meta.url);
+const BASE_URL = 'https://novels.cqi365.net';
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+function assertGolden(name, actual) {
+  const url = new URL(name, FIXTURES_DIR);
+  if (UPDATE) writeFileSync(url, actual);
+  assert.equal(actual, readFileSync(url, 'utf-8'), `${name} differs from the golden file`);
+}
+
+async function render(markdown, project) {
+  return renderMarkdown(convertAssetPaths(markdown, project), { project, file: 'fixture.md', baseUrl: BASE_URL });
+}
+
+for (const name of readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.md'))) {
+  const stem = name.replace(/\.md$/, '');
+
+  test(`${name}: HTML and Gutenberg blocks match the golden files`, async () => {
+    const html = await render(readFileSync(new URL(name, FIXTURES_DIR), 'utf-8'), 'GoldenFixture');
+    assertGolden(`${stem}.html`, html);
+    assertGolden(`${stem}.blocks.html`, await toGutenbergBlocks(html));
+  });
+}
+
+test('site-relative URLs become absolute, other URLs are kept', async () => {
+  const html = await render('[術語](/novel/BlindOrbit/glossary#link-16) [外部](https://example.com/a) ![圖](//cdn.example.com/a.png)', 'GoldenFixture');
+  assert.match(html, /href="https:\/\/novels\.cqi365\.net\/novel\/BlindOrbit\/glossary#link-16"/);
+  assert.match(html, /href="https:\/\/example\.com\/a"/);
+  assert.match(html, /src="\/\/cdn\.example\.com\/a\.png"/);
+});
+
+const hasSiteData = ['glossary.json', 'images.json'].every(file => existsSync(join(SITE_DIR, 'src/data', file)));
+
+test('synced chapters get glossary tooltips and responsive images', { skip: !hasSiteData && 'run `npm run sync` first' }, async () => {
+  const glossary = JSON.parse(readFileSync(join(SITE_DIR, 'src/data/glossary.json'), 'utf-8'));
+  if (!glossary.BlindOrbit) return;
+
+  const markdown = readFileSync(new URL('blindorbit-ch03-terms-list.md', FIXTURES_DIR), 'utf-8');
+  const image = '<img src="../_assets/chapters/ch01-scene-eu-council-room.png" alt="Eu Council Room">';
+  const html = await render(`${image}\n\n${markdown}`, 'BlindOrbit');
+  assert.match(html, /<span class="glossary-term"><a href="https:\/\/novels\.cqi365\.net\/novel\/[^"]+\/glossary#/);
+  assert.match(html, /<picture><source type="image\/avif" srcset="https:\/\/novels\.cqi365\.net\/images\/BlindOrbit\//);
+});
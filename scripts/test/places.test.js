@@ -0,0 +1,157 @@
+/**
+ * Tests for lib/places.js: reading a place list and finding the places
+ * chapter scenes name, by the rules of its header comment
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlaces, findPlace, parseChapterPlaces } from '../lib/places.js';
+
+const PLACE_LIST = `---
+updated: 2026-01-01
+---
+# 地點索引
+
+小說中出現的場景。
+
+## 美國 (United States)
+- 戰線：Americas
+
+### 夏延山 (Cheyenne Mountain)
+- 別名：北美防空司令部、NORAD、夏延山
+北美防空司令部所在的山。
+
+### 馬里蘭州 (Maryland)
+
+### 米德堡 (Fort Meade)
+- Within: Maryland
+國家安全局總部。
+
+## 台灣 (Taiwan)
+- 戰線：Asia
+
+### 台北市 (Taipei)
+
+### 台大醫院 (NTU Hospital)
+- 位於：台北市
+- Aliases: 台大, NTUH
+
+### 台灣海峽 (Taiwan Strait)
+- Theatre: 海上
+`;
+
+const list = parsePlaces(PLACE_LIST);
+const places = list.countries.flatMap(country => country.places);
+
+function scenesOf(markdown) {
+  return parseChapterPlaces(markdown, places).map(scene => [scene.title, scene.places]);
+}
+
+test('a place list is read as countries of places', () => {
+  assert.equal(list.title, '地點索引');
+  assert.deepEqual(list.description, ['小說中出現的場景。']);
+  assert.deepEqual(list.countries.map(country => [country.name, country.subtitle, country.places.length]), [
+    ['美國', 'United States', 3],
+    ['台灣', 'Taiwan', 3],
+  ]);
+
+  const cheyenne = findPlace('夏延山', places);
+  assert.equal(cheyenne.id, 'cheyenne-mountain');
+  assert.equal(cheyenne.country, '美國');
+  assert.deepEqual(cheyenne.description, ['北美防空司令部所在的山。']);
+});
+
+test('names are deduplicated and fields fall back to the country', () => {
+  assert.deepEqual(findPlace('NORAD', places).names, ['夏延山', 'Cheyenne Mountain', '北美防空司令部', 'NORAD']);
+  assert.deepEqual(findPlace('台大', places).names, ['台大醫院', 'NTU Hospital', '台大', 'NTUH']);
+
+  assert.equal(findPlace('Fort Meade', places).theatre, 'Americas');
+  assert.equal(findPlace('Taiwan Strait', places).theatre, '海上');
+  assert.equal(findPlace('Fort Meade', places).parent, 'maryland');
+  assert.equal(findPlace('台大醫院', places).parent, 'taipei');
+  assert.equal(findPlace('台北市', places).parent, null);
+});
+
+test('places are found by any name, ignoring case and surrounding space', () => {
+  assert.equal(findPlace(' ntuh ', places).id, 'ntu-hospital');
+  assert.equal(findPlace('cheyenne-mountain', places).id, 'cheyenne-mountain');
+  assert.equal(findPlace('台北', places), null);
+});
+
+test('headings and bold lines match parts that start with a place name', () => {
+  assert.deepEqual(scenesOf([
+    '## [2028年11月10日] 夏延山，北美防空司令部',
+    '',
+    '## [T-Hour] 科羅拉多州（夏延山附近）',
+    '',
+    '## 台北市 / 信義區',
+    '',
+    '## [T+1天] 病房',
+    '',
+    '**台灣，台大醫院急診室**',
+  ].join('\n')), [
+    ['夏延山，北美防空司令部', ['cheyenne-mountain']],
+    ['台北市 / 信義區', ['taipei']],
+    ['病房', ['ntu-hospital']],
+  ]);
+});
+
+test('位置 lines match every place they mention; Latin names match whole words only', () => {
+  assert.deepEqual(scenesOf([
+    '## [T+2天] 空中',
+    '**位置：台北市上空 / 台灣海峽**',
+    '',
+    '## [T+3天] 基地',
+    '**地點：距離 NORADS 三公里的 Fort Meade**',
+  ].join('\n')), [
+    ['空中', ['taipei', 'taiwan-strait']],
+    ['基地', ['fort-meade']],
+  ]);
+});
+
+test('bold sentences, dialogue and labels are not place lines', () => {
+  const chapter = [
+    '## [T+4天] 醫院',
+    '',
+    '**台大醫院的燈全滅了。**',
+    '',
+    '**「台大醫院？」**',
+    '',
+    '**台大醫院：停電第一夜**',
+  ].join('\n');
+  assert.deepEqual(scenesOf(chapter), []);
+});
+
+test('a place and the place it lies within keep only the former, once', () => {
+  assert.deepEqual(scenesOf([
+    '## [T+5天] 台北市，台大醫院',
+    '**位置：台大醫院（台北市）**',
+    '**台大醫院**',
+  ].join('\n')), [
+    ['台北市，台大醫院', ['ntu-hospital']],
+  ]);
+});
+
+test('scenes without a place take the places before the first scene and in frontmatter', () => {
+  const chapter = [
+    '---',
+    'places: ["Taipei", " ntuh ", "NTU Hospital", "不存在的地方"]',
+    '---',
+    '**位置：台灣海峽**',
+    '',
+    '## [T+6天] 清晨',
+    '',
+    '## [T+6天] 馬里蘭州，米德堡',
+  ].join('\n');
+  assert.deepEqual(scenesOf(chapter), [
+    ['清晨', ['ntu-hospital', 'taiwan-strait']],
+    ['馬里蘭州，米德堡', ['fort-meade']],
+  ]);
+});
+
+test('a chapter without scenes is placed as a whole by its frontmatter', () => {
+  assert.deepEqual(parseChapterPlaces('---\nplaces: 台北市\n---\n\n正文', places), [
+    { heading: null, dateline: null, title: null, places: ['taipei'] },
+  ]);
+  assert.deepEqual(parseChapterPlaces('---\ntitle: 第一章\n---\n\n正文', places), []);
+});
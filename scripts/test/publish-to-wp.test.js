@@ -0,0 +1,37 @@
+/**
+ * WordPress post status follows the site's release rules (lib/release.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPostSchedule } from '../publish-to-wp.js';
+import { isReleased } from '../lib/release.js';
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const PAST = '2026-10-01T20:00:00+08:00';
+const FUTURE = '2026-11-01T20:00:00+08:00';
+
+const cases = [
+  [{}, { status: 'publish' }],
+  [{ status: 'published' }, { status: 'publish' }],
+  [{ publish_at: PAST }, { status: 'publish', date_gmt: '2026-10-01T12:00:00' }],
+  [{ publish_at: FUTURE }, { status: 'future', date_gmt: '2026-11-01T12:00:00' }],
+  [{ status: 'published', publish_at: FUTURE }, { status: 'future', date_gmt: '2026-11-01T12:00:00' }],
+  [{ status: 'scheduled', publish_at: PAST }, { status: 'publish', date_gmt: '2026-10-01T12:00:00' }],
+  [{ status: 'scheduled', publish_at: FUTURE }, { status: 'future', date_gmt: '2026-11-01T12:00:00' }],
+  [{ status: 'scheduled' }, { status: 'draft' }],
+  [{ status: 'draft' }, { status: 'draft' }],
+  [{ status: 'draft', publish_at: PAST }, { status: 'draft' }],
+];
+
+for (const [frontmatter, expected] of cases) {
+  test(`${JSON.stringify(frontmatter)} → ${expected.status}`, () => {
+    assert.deepEqual(getPostSchedule(frontmatter, NOW), expected);
+  });
+}
+
+test('a post is public exactly when the site shows the chapter', () => {
+  for (const [frontmatter] of cases) {
+    assert.equal(getPostSchedule(frontmatter, NOW).status === 'publish', isReleased(frontmatter, NOW), JSON.stringify(frontmatter));
+  }
+});
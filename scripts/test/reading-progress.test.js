@@ -0,0 +1,116 @@
+/**
+ * Importing reading progress (site/src/lib/reading-progress.ts): files are
+ * validated down to each bookmark and links must stay on the novel pages
+ */
+
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { SITE_DIR, importFromSite } from '../lib/projects.js';
+
+let progress;
+
+before(async () => {
+  const { runnerImport } = await importFromSite('vite');
+  const path = join(SITE_DIR, 'src/lib/reading-progress.ts');
+  ({ module: progress } = await runnerImport(path, { root: SITE_DIR, configFile: false, logLevel: 'error' }));
+});
+
+const chapter = slug => ({ slug, title: `第${slug}章`, url: `/novel/BlindOrbit/${slug}` });
+
+function exported(novel = {}) {
+  return {
+    version: 1,
+    novels: {
+      BlindOrbit: {
+        title: '盲軌：2028',
+        url: '/novel/BlindOrbit',
+        last: { ...chapter('chap_02'), paragraph: 12, percent: 40, finished: false, next: chapter('chap_03'), at: '2026-10-02T10:00:00.000Z' },
+        read: { chap_01: '2026-10-01T10:00:00.000Z' },
+        bookmarks: [{ ...chapter('chap_01'), paragraph: 3, excerpt: '布魯塞爾的清晨', at: '2026-10-01T09:00:00.000Z' }],
+        ...novel,
+      },
+    },
+  };
+}
+
+function parse(value) {
+  return progress.parseProgressFile(JSON.stringify(value));
+}
+
+test('a valid export, also from the zh-Hans edition, is accepted', () => {
+  assert.deepEqual(parse(exported()), exported());
+  const zhHans = exported({ url: '/zh-hans/novel/BlindOrbit', last: null, bookmarks: [] });
+  assert.deepEqual(parse(zhHans), zhHans);
+});
+
+test('malformed entries anywhere in the file are rejected', () => {
+  const { bookmarks, last } = exported().novels.BlindOrbit;
+  const broken = [
+    { bookmarks: [{ ...bookmarks[0], at: undefined }] },
+    { bookmarks: [{ ...bookmarks[0], paragraph: '3' }] },
+    { bookmarks: [null] },
+    { read: { chap_01: 1 } },
+    { read: [] },
+    { last: { ...last, percent: 'x' } },
+    { last: { ...last, next: { slug: 'chap_03' } } },
+    { title: undefined },
+  ];
+  for (const novel of broken) {
+    assert.throws(() => parse(exported(novel)), /不是閱讀進度的匯出檔/, JSON.stringify(novel));
+  }
+  assert.throws(() => progress.parseProgressFile('{'), /不是有效的 JSON/);
+});
+
+test('links off the novel pages are rejected', () => {
+  const { bookmarks, last } = exported().novels.BlindOrbit;
+  for (const url of ['javascript:alert(1)', '//evil.example/novel/x', 'https://evil.example/novel/x', '/search', '/novel/x" onclick="a']) {
+    assert.throws(() => parse(exported({ bookmarks: [{ ...bookmarks[0], url }] })), undefined, url);
+    assert.throws(() => parse(exported({ last: { ...last, url } })), undefined, url);
+    assert.throws(() => parse(exported({ last: { ...last, next: { ...last.next, url } } })), undefined, url);
+  }
+});
+
+test('stored links are only followed on the novel pages', () => {
+  const novel = structuredClone(exported().novels.BlindOrbit);
+  assert.equal(progress.bookmarkUrl(novel.bookmarks[0]), '/novel/BlindOrbit/chap_01#p-3');
+  assert.deepEqual(progress.getContinueTarget(novel), { url: '/novel/BlindOrbit/chap_02#p-12', title: '第chap_02章', percent: 40 });
+
+  novel.bookmarks[0].url = 'javascript:alert(1)';
+  assert.equal(progress.bookmarkUrl(novel.bookmarks[0]), null);
+
+  novel.last = { ...novel.last, finished: true, next: { ...novel.last.next, url: 'javascript:alert(1)' } };
+  assert.deepEqual(progress.getContinueTarget(novel), { url: '/novel/BlindOrbit/chap_02', title: '第chap_02章', percent: 40 });
+  novel.last.url = 'javascript:alert(1)';
+  assert.equal(progress.getContinueTarget(novel), null);
+});
+
+test('merging keeps the later position, the first read time and every bookmark', () => {
+  const current = exported();
+  const imported = exported({
+    last: { ...current.novels.BlindOrbit.last, ...chapter('chap_05'), at: '2026-10-05T10:00:00.000Z' },
+    read: { chap_01: '2026-09-30T10:00:00.000Z', chap_04: '2026-10-04T10:00:00.000Z' },
+    bookmarks: [{ ...chapter('chap_04'), paragraph: 7, excerpt: '東京', at: '2026-09-01T09:00:00.000Z' }],
+  });
+  const merged = progress.mergeProgress(current, parse(imported)).novels.BlindOrbit;
+  assert.equal(merged.last.slug, 'chap_05');
+  assert.deepEqual(merged.read, { chap_01: '2026-09-30T10:00:00.000Z', chap_04: '2026-10-04T10:00:00.000Z' });
+  assert.deepEqual(merged.bookmarks.map(b => b.slug), ['chap_04', 'chap_01']);
+});
+
+test('reserved keys are rejected instead of reaching Object.prototype', () => {
+  const novel = exported().novels.BlindOrbit;
+  for (const key of ['__proto__', 'constructor', 'prototype']) {
+    // JSON.parse keeps "__proto__" as an own key, as in a crafted file
+    const text = `{"version":1,"novels":{${JSON.stringify(key)}:${JSON.stringify(novel)}}}`;
+    assert.throws(() => progress.parseProgressFile(text), /不是閱讀進度的匯出檔/, key);
+    const read = JSON.stringify(exported()).replace('"chap_01":"2026-10-01', `${JSON.stringify(key)}:"2026-10-01`);
+    assert.throws(() => progress.parseProgressFile(read), /不是閱讀進度的匯出檔/, key);
+  }
+
+  const crafted = JSON.parse(`{"version":1,"novels":{"__proto__":${JSON.stringify(novel)}}}`);
+  const merged = progress.mergeProgress(exported(), crafted);
+  assert.equal(Object.prototype.last, undefined);
+  assert.equal(Object.getPrototypeOf(merged.novels), Object.prototype);
+  assert.deepEqual(Object.keys(merged.novels), ['BlindOrbit']);
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for lib/timeline.js: the dateline forms of its header comment and
+ * how chapter scenes are placed in story time
+ *
+ * The anchor is BlindOrbit's T-Hour, 2028-11-10 21:00 in UTC+8.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateline, parseSceneHeading, parseChapterScenes, isValidTimeline } from '../lib/timeline.js';
+
+const T_HOUR = '2028-11-10T21:00:00+08:00';
+const ANCHOR = { tHour: Date.parse(T_HOUR), offset: 480 };
+const NO_T_HOUR = { tHour: null, offset: 480 };
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const iso = time => new Date(time).toISOString();
+
+test('absolute dates are local to the default zone, as precise as written', () => {
+  const day = parseDateline('2025年4月12日', ANCHOR);
+  assert.equal(iso(day.time), '2025-04-11T16:00:00.000Z');
+  assert.equal(day.precision, 'day');
+  assert.equal(day.clock, null);
+
+  assert.equal(parseDateline('2028 年 11 月', ANCHOR).precision, 'month');
+  assert.equal(parseDateline('2028年', ANCHOR).precision, 'year');
+
+  const time = parseDateline('2028 年 11 月 17 日 16:30 CET', ANCHOR);
+  assert.equal(iso(time.time), '2028-11-17T15:30:00.000Z');
+  assert.equal(time.precision, 'time');
+  assert.equal(time.offset, 60);
+});
+
+test('relative datelines count from T-Hour', () => {
+  assert.equal(parseDateline('T-Hour', ANCHOR).time, ANCHOR.tHour);
+  assert.equal(parseDateline('T-Hour - 24:00:00', ANCHOR).time, ANCHOR.tHour - DAY);
+  assert.equal(parseDateline('T+01:30', ANCHOR).time, ANCHOR.tHour + 1.5 * HOUR);
+  assert.equal(parseDateline('T−6 小時', ANCHOR).time, ANCHOR.tHour - 6 * HOUR);
+
+  const days = parseDateline('T+3天', ANCHOR);
+  assert.equal(days.time, ANCHOR.tHour + 3 * DAY);
+  assert.equal(days.precision, 'day');
+
+  const minutes = parseDateline('T-Hour + 25 分鐘', ANCHOR);
+  assert.equal(minutes.time, ANCHOR.tHour + 25 * 60 * 1000);
+  assert.equal(minutes.precision, 'time');
+});
+
+test('ranges start at their first point and parentheses are only read for a zone', () => {
+  assert.equal(parseDateline('T-Hour + 25 分鐘 至 T+45 分鐘', ANCHOR).time, ANCHOR.tHour + 25 * 60 * 1000);
+
+  const point = parseDateline('T-Hour + 7 天 (2028 年 11 月 17 日 16:30:00 CET)', ANCHOR);
+  assert.equal(point.time, ANCHOR.tHour + 7 * DAY);
+  assert.equal(point.offset, 60);
+});
+
+test('war weeks and months start at T-Hour', () => {
+  const week = parseDateline('開戰第 2 週', ANCHOR);
+  assert.equal(week.time, ANCHOR.tHour + 7 * DAY);
+  assert.equal(week.length, 7 * DAY);
+  assert.equal(parseDateline('第 3 個月', ANCHOR).time, ANCHOR.tHour + 60 * DAY);
+});
+
+test('clock times have no day yet and take a named zone', () => {
+  assert.deepEqual(parseDateline('02:30:00 CET', ANCHOR), { time: null, clock: 2.5 * HOUR, precision: 'time', offset: 60 });
+  assert.equal(parseDateline('20:35', ANCHOR).offset, 480);
+  assert.equal(parseDateline('00:00:01.5', ANCHOR).clock, 1500);
+});
+
+test('"同一時間" marks the same time as the last scene', () => {
+  assert.equal(parseDateline('同一時間', ANCHOR).same, true);
+  assert.equal(parseDateline('同時', ANCHOR).same, true);
+  assert.equal(isValidTimeline('同一時間', ANCHOR), false);
+});
+
+test('text that is not a dateline does not match', () => {
+  for (const text of ['米德堡，馬里蘭州', '鏡中人', 'Phase 1', 'T+ 不久', 'T+3 光年', '第三章', '']) {
+    assert.equal(parseDateline(text, ANCHOR), null, text);
+  }
+  // Relative datelines need a T-Hour
+  assert.equal(parseDateline('T+3天', NO_T_HOUR), null);
+  assert.equal(parseDateline('開戰第 2 週', NO_T_HOUR), null);
+  assert.equal(isValidTimeline('T+3天', NO_T_HOUR), false);
+});
+
+test('scene headings carry a bracketed dateline at the start', () => {
+  assert.deepEqual(parseSceneHeading('## [2025年4月12日] 米德堡，馬里蘭州'), {
+    text: '[2025年4月12日] 米德堡，馬里蘭州', dateline: '2025年4月12日', title: '米德堡，馬里蘭州',
+  });
+  assert.deepEqual(parseSceneHeading('#### **[02:30:00 CET] - 獵人與熊 (波蘭)**'), {
+    text: '[02:30:00 CET] - 獵人與熊 (波蘭)', dateline: '02:30:00 CET', title: '獵人與熊 (波蘭)',
+  });
+  assert.equal(parseSceneHeading('### [T-Hour]').title, null);
+  assert.deepEqual(parseSceneHeading('## 第一章'), { text: '第一章', dateline: null, title: '第一章' });
+  assert.equal(parseSceneHeading('# [T-Hour] 一級標題不是場景'), null);
+  assert.equal(parseSceneHeading('[T-Hour] 正文'), null);
+});
+
+test('clock times follow the chapter day and move forward past midnight', () => {
+  const scenes = parseChapterScenes([
+    '---',
+    'timeline: T+11天',
+    '---',
+    '#### **[23:30:00] - 深夜**',
+    '',
+    '#### **[同一時間] - 另一邊**',
+    '',
+    '#### **[01:15:00] - 凌晨**',
+    '',
+    '#### **[08:00:00 CET] - 華沙**',
+  ].join('\n'), ANCHOR);
+
+  assert.deepEqual(scenes.map(scene => [scene.title, scene.time, scene.offset]), [
+    ['深夜', '2028-11-21T15:30:00.000Z', 480],
+    ['另一邊', '2028-11-21T15:30:00.000Z', 480],
+    ['凌晨', '2028-11-21T17:15:00.000Z', 480],
+    ['華沙', '2028-11-22T07:00:00.000Z', 60],
+  ]);
+});
+
+test('a 時間 line right below a clock heading sets its day', () => {
+  const scenes = parseChapterScenes('#### **[09:00:00] - 早晨**\n**時間：2028年11月12日**\n\n正文', ANCHOR);
+  assert.equal(scenes.length, 1);
+  assert.equal(scenes[0].time, '2028-11-12T01:00:00.000Z');
+});
+
+test('a chapter without scene headings is one scene at its time', () => {
+  const scenes = parseChapterScenes('## 第三章\n\n**時間：T+3天**\n\n正文', ANCHOR);
+  assert.deepEqual(scenes, [{
+    heading: null, dateline: 'T+3天', title: null, time: iso(ANCHOR.tHour + 3 * DAY), precision: 'day', offset: 480,
+  }]);
+
+  assert.deepEqual(parseChapterScenes('## 第三章\n\n正文', ANCHOR), []);
+});
@@ -0,0 +1,231 @@
+/**
+ * Validate a project's chapters against _meta/chapter_order.md
+ *
+ * Usage: node scripts/novels.js validate [--novel <name> | --all]
+ *
+ * Errors (fail the command):
+ * - Table rows whose chapter file is missing
+ * - Chapter files missing from the table
+ * - Frontmatter titles that differ from the table
+ * - Missing, non-numeric, duplicate or out-of-sync `order` values
+ * - Unknown `status` values, invalid `publish_at` dates, and `scheduled`
+ *   chapters without publish_at
+ * - `../_assets/...` references and `cover` fields pointing at missing files
+ * - Chapters listed in novels.config.json `parts` that don't exist
+ *
+ * Warnings:
+ * - Images in _assets/chapters that no chapter uses
+ * - `glossary_exclude` entries that match no glossary term
+ * - `timeline` values that aren't datelines (see lib/timeline.js)
+ * - `places` entries that match no place in the place list (see lib/places.js)
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { parseFrontmatter } from './lib/frontmatter.js';
+import { readChapterOrder, exitIfRunDirectly } from './lib/projects.js';
+import { CHAPTER_STATUSES, parsePublishAt } from './lib/release.js';
+import { getGlossaryPath, parseGlossary } from './lib/glossary.js';
+import { getTimelineAnchor, isValidTimeline } from './lib/timeline.js';
+import { getPlacesPath, parsePlaces, findPlace } from './lib/places.js';
+
+exitIfRunDirectly(import.meta.url, 'validate');
+
+const IMAGE_EXTENSIONS = /\.(jpg|jpeg|png|gif|webp|svg)$/i;
+
+// Markdown `(../_assets/...)` and HTML `src="../_assets/..."` references
+const ASSET_REF_REGEX = /(?:\(|src=")\.\.?\/_assets\/([^)"\s]+)/g;
+
+function decodePath(path) {
+  try {
+    return decodeURI(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Check one project and return its issues
+ *
+ * @returns {Promise<{ level: 'error' | 'warning', file: string, message: string }[]>}
+ */
+export async function findChapterIssues(project) {
+  const issues = [];
+  const error = (file, message) => issues.push({ level: 'error', file, message });
+  const warning = (file, message) => issues.push({ level: 'warning', file, message });
+
+  if (!existsSync(project.chaptersDir)) {
+    error('chapters/', 'Directory not found');
+    return issues;
+  }
+
+  const chapterFiles = (await readdir(project.chaptersDir)).filter(f => f.endsWith('.md')).sort();
+  const rows = await readChapterOrder(project);
+
+  if (!existsSync(project.chapterOrderFile)) {
+    error('_meta/chapter_order.md', 'File not found');
+  }
+
+  // Table vs files
+  const rowsByFile = new Map();
+  for (const row of rows) {
+    if (rowsByFile.has(row.filename)) {
+      error(row.filename, 'Listed more than once in chapter_order.md');
+      continue;
+    }
+    rowsByFile.set(row.filename, row);
+    if (!chapterFiles.includes(row.filename)) {
+      error(row.filename, `Listed in chapter_order.md (${row.id}) but the file does not exist`);
+    }
+  }
+
+  if (rows.length > 0) {
+    for (const file of chapterFiles) {
+      if (!rowsByFile.has(file)) error(file, 'Not listed in chapter_order.md');
+    }
+  }
+
+  for (const part of project.config?.parts || []) {
+    for (const file of part.chapters || []) {
+      if (!chapterFiles.includes(file)) {
+        error(file, `Listed in part "${part.slug}" (novels.config.json) but the file does not exist`);
+      }
+    }
+  }
+
+  // Frontmatter and asset references
+  const filesByOrder = new Map();
+  const usedAssets = new Set();
+
+  // Every spelling glossary_exclude may use: term IDs, terms and aliases
+  const glossaryPath = getGlossaryPath(project);
+  const glossaryNames = new Set();
+  if (glossaryPath && existsSync(glossaryPath)) {
+    for (const { terms } of parseGlossary(await readFile(glossaryPath, 'utf-8')).categories) {
+      for (const term of terms) [term.id, term.term, ...term.names].forEach(name => glossaryNames.add(name));
+    }
+  }
+
+  const timelineAnchor = getTimelineAnchor(project);
+
+  const placesPath = getPlacesPath(project);
+  const places = placesPath && existsSync(placesPath)
+    ? parsePlaces(await readFile(placesPath, 'utf-8')).countries.flatMap(country => country.places)
+    : [];
+
+  for (const file of chapterFiles) {
+    const content = await readFile(join(project.chaptersDir, file), 'utf-8');
+    const { data, hasFrontmatter, body } = parseFrontmatter(content);
+    const row = rowsByFile.get(file);
+
+    if (!hasFrontmatter) {
+      error(file, 'No frontmatter');
+    } else {
+      if (row && row.title && data.title !== row.title) {
+        error(file, `Title "${data.title ?? ''}" differs from chapter_order.md "${row.title}"`);
+      }
+
+      if (data.order === undefined || data.order === null) {
+        error(file, 'Missing order');
+      } else if (typeof data.order !== 'number') {
+        error(file, `Order ${JSON.stringify(data.order)} is not a number`);
+      } else {
+        if (!filesByOrder.has(data.order)) filesByOrder.set(data.order, []);
+        filesByOrder.get(data.order).push(file);
+
+        if (row && row.num !== null && data.order !== row.num * 10) {
+          error(file, `Order ${data.order} does not match chapter_order.md (${row.id} → ${row.num * 10})`);
+        }
+      }
+
+      if (data.status !== undefined && !CHAPTER_STATUSES.includes(data.status)) {
+        error(file, `Unknown status "${data.status}" (use ${CHAPTER_STATUSES.join(', ')})`);
+      }
+      if (data.publish_at !== undefined && !parsePublishAt(data.publish_at)) {
+        error(file, `publish_at "${data.publish_at}" is not a valid date`);
+      }
+      if (data.status === 'scheduled' && data.publish_at === undefined) {
+        error(file, 'Scheduled without publish_at');
+      }
+
+      if (data.cover) {
+        const coverPath = `chapters/${data.cover}`;
+        usedAssets.add(coverPath);
+        if (!existsSync(join(project.assetsDir, coverPath))) {
+          error(file, `Cover not found: _assets/${coverPath}`);
+        }
+      }
+
+      for (const name of [data.glossary_exclude ?? []].flat()) {
+        if (!glossaryNames.has(String(name))) {
+          warning(file, `glossary_exclude "${name}" matches no glossary term`);
+        }
+      }
+
+      if (data.timeline !== undefined && !isValidTimeline(data.timeline, timelineAnchor)) {
+        warning(file, `timeline "${data.timeline}" is not a dateline`);
+      }
+
+      for (const name of [data.places ?? []].flat()) {
+        if (!findPlace(name, places)) {
+          warning(file, `places "${name}" matches no place in the place list`);
+        }
+      }
+    }
+
+    for (const match of body.matchAll(ASSET_REF_REGEX)) {
+      const assetPath = decodePath(match[1]);
+      usedAssets.add(assetPath);
+      if (!existsSync(join(project.assetsDir, assetPath))) {
+        error(file, `Image not found: ../_assets/${assetPath}`);
+      }
+    }
+  }
+
+  for (const [order, files] of filesByOrder) {
+    if (files.length > 1) {
+      error(files.join(', '), `Duplicate order ${order}`);
+    }
+  }
+
+  // Unused chapter images
+  const chapterAssetsDir = join(project.assetsDir, 'chapters');
+  if (existsSync(chapterAssetsDir)) {
+    const images = (await readdir(chapterAssetsDir)).filter(f => IMAGE_EXTENSIONS.test(f)).sort();
+    for (const image of images) {
+      if (!usedAssets.has(`chapters/${image}`)) {
+        warning(`_assets/chapters/${image}`, 'Not used by any chapter');
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a project and print a report
+ *
+ * @returns {Promise<{ errors: number, warnings: number }>}
+ */
+export async function validateChapters(project) {
+  console.log(`Validating ${project.name}...`);
+
+  const issues = await findChapterIssues(project);
+  const errors = issues.filter(issue => issue.level === 'error');
+  const warnings = issues.filter(issue => issue.level === 'warning');
+
+  for (const issue of errors) {
+    console.log(`  ✗ ${issue.file}: ${issue.message}`);
+  }
+  for (const issue of warnings) {
+    console.log(`  ⚠ ${issue.file}: ${issue.message}`);
+  }
+
+  if (issues.length === 0) {
+    console.log('  ✓ No problems found');
+  }
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)\n`);
+
+  return { errors: errors.length, warnings: warnings.length };
+}
@@ -1,8 +1,13 @@
 import { defineConfig } from 'astro/config';
 import mdx from '@astrojs/mdx';
+import { rehypePlugins } from './src/lib/markdown-plugins';
+import zhHansEdition from './src/lib/zh-hans-edition';
 
 export default defineConfig({
-  integrations: [mdx()],
+  integrations: [mdx(), zhHansEdition()],
   site: 'https://novels.cqi365.net',
   output: 'static',
+  markdown: {
+    rehypePlugins,
+  },
 });
@@ -1,5 +1,5 @@
 import { defineCollection, z } from 'astro:content';
-import { glob } from 'astro/loaders';
+import { file, glob } from 'astro/loaders';
 
 const novels = defineCollection({
   loader: glob({ pattern: '**/*.md', base: './src/content/novels' }),
@@ -10,10 +10,48 @@ const novels = defineCollection({
     cover: z.string().optional(),
     cover_url: z.string().optional(),
     cover_media_id: z.union([z.string(), z.number()]).optional(),
-    // Optional metadata
+    // Release: drafts and chapters before publish_at are left out of the build
+    status: z.enum(['draft', 'scheduled', 'published']).default('published'),
+    publish_at: z.coerce.date().optional(),
+    // First and last commit, added by `novels.js sync` (used by the feeds)
+    date: z.coerce.date().optional(),
+    updated: z.coerce.date().optional(),
+    // Optional metadata; `novels.js sync` fills pov from chapter_order.md
+    // and region (theatre) from the file name
     pov: z.string().optional(),
+    region: z.string().optional(),
+    // Story day or time the chapter's scene clocks fall on, e.g. "T+11天" (see scripts/lib/timeline.js)
     timeline: z.string().optional(),
+    // Places of scenes that name none, e.g. ["布魯塞爾"] (see scripts/lib/places.js)
+    places: z.array(z.string()).optional(),
+    // Glossary terms (term, alias or ID) not to link in this chapter
+    glossary_exclude: z.array(z.string()).optional(),
   }),
 });
 
-export const collections = { novels };
+// Profiles parsed from projects/*/_characters/character_master.md by `novels.js sync`
+// (see scripts/lib/characters.js); IDs are "{project}/{slug}"
+const characters = defineCollection({
+  loader: file('src/data/characters.json'),
+  schema: z.object({
+    project: z.string(),
+    slug: z.string(),
+    name: z.string(),
+    rank: z.string().nullable(),
+    romanization: z.string().nullable(),
+    group: z.string().nullable(),
+    section: z.string().nullable(),
+    codename: z.string().nullable(),
+    role: z.string().nullable(),
+    flaws: z.array(z.string()),
+    // Spellings a chapter POV may use
+    names: z.array(z.string()),
+    fields: z.array(z.object({
+      label: z.string(),
+      value: z.string(),
+      items: z.array(z.string()),
+    })),
+  }),
+});
+
+export const collections = { novels, characters };
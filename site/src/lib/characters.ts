@@ -0,0 +1,58 @@
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { getNovelUrl, getProjectName, getNovelChapters, type Chapter, type NovelConfig } from './novels';
+
+export type Character = CollectionEntry<'characters'>;
+
+export interface PovName {
+  name: string;
+  character: Character | null;
+}
+
+/**
+ * A novel's character profiles, in character master order
+ */
+export async function getNovelCharacters(novel: NovelConfig): Promise<Character[]> {
+  const projectName = getProjectName(novel);
+  return (await getCollection('characters')).filter(character => character.data.project === projectName);
+}
+
+export function getCharactersUrl(novel: NovelConfig): string {
+  return `${getNovelUrl(novel)}/characters`;
+}
+
+export function getCharacterUrl(novel: NovelConfig, character: Character): string {
+  return `${getCharactersUrl(novel)}/${character.data.slug}`;
+}
+
+/**
+ * Split a chapter's POV into names, each matched to a profile when one of
+ * its spellings fits, e.g. "凱恩/賈法爾", "張弘毅/Reaper", "「老師」"
+ */
+export function parsePov(pov: string | undefined, characters: Character[]): PovName[] {
+  if (!pov) return [];
+
+  return pov
+    .split(/[/／、,，]/)
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      const normalized = name.replace(/[「」『』"“”]/g, '').replace(/\s+/g, '');
+      const character = characters.find(c =>
+        c.data.names.some(spelling => spelling.replace(/\s+/g, '') === normalized)
+      ) ?? null;
+      return { name, character };
+    });
+}
+
+/**
+ * Released chapters narrated (wholly or partly) by a character, in reading order
+ */
+export async function getCharacterChapters(
+  novel: NovelConfig,
+  character: Character,
+  characters: Character[]
+): Promise<Chapter[]> {
+  return (await getNovelChapters(novel)).filter(chapter =>
+    parsePov(chapter.data.pov, characters).some(pov => pov.character?.id === character.id)
+  );
+}
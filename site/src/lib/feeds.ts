@@ -0,0 +1,170 @@
+import rss, { type RSSFeedItem } from '@astrojs/rss';
+import config from '../../../novels.config.json';
+import {
+  novels,
+  getChapterSlug,
+  getNovelChapters,
+  getNovelUrl,
+  getProjectName,
+  type Chapter,
+  type NovelConfig,
+} from './novels';
+
+/**
+ * Feed settings from a novel's `feed` config
+ *
+ * `fullContent: true` puts the whole rendered chapter in each entry
+ * (`<content:encoded>`); otherwise entries carry an excerpt only.
+ */
+interface FeedConfig {
+  fullContent?: boolean;
+}
+
+// Entries in the site-wide feed
+const SITE_FEED_LIMIT = 50;
+const EXCERPT_LENGTH = 200;
+
+const XMLNS = {
+  atom: 'http://www.w3.org/2005/Atom',
+  media: 'http://search.yahoo.com/mrss/',
+};
+
+function getFeedConfig(novel: NovelConfig): FeedConfig {
+  return (novel as { feed?: FeedConfig }).feed ?? {};
+}
+
+export function getNovelFeedUrl(novel: NovelConfig): string {
+  return `${getNovelUrl(novel)}/feed.xml`;
+}
+
+/**
+ * Chapter date: publish_at for scheduled chapters, else its first commit
+ */
+function getPublishDate(chapter: Chapter): Date | undefined {
+  return chapter.data.publish_at ?? chapter.data.date;
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Plain-text opening of a chapter's Markdown
+ */
+function createExcerpt(markdown: string, maxLength = EXCERPT_LENGTH): string {
+  const text = markdown
+    .replace(/<[^>]+>/g, ' ')                  // HTML (scene images)
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')     // Markdown images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')   // Links keep their text
+    .replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/^\s*(---+|\*\*\*+)\s*$/gm, ' ')
+    .replace(/[*_`~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text.length <= maxLength ? text : `${text.slice(0, maxLength)}…`;
+}
+
+/**
+ * Chapter cover: cover_url, the `cover` image, else the first image in the chapter
+ */
+export function getChapterCoverUrl(novel: NovelConfig, chapter: Chapter): string | null {
+  if (chapter.data.cover_url) return chapter.data.cover_url;
+  if (chapter.data.cover) return `/assets/${getProjectName(novel)}/chapters/${chapter.data.cover}`;
+
+  const body = chapter.body ?? '';
+  const image = body.match(/<img\b[^>]*\bsrc=["']([^"']+)["']/i) ?? body.match(/!\[[^\]]*\]\(([^)\s]+)/);
+  return image ? image[1] : null;
+}
+
+/**
+ * Make root-relative URLs in rendered HTML absolute (src, href, srcset)
+ */
+function absolutizeUrls(html: string, site: URL): string {
+  const toAbsolute = (url: string) => (url.startsWith('/') && !url.startsWith('//') ? new URL(url, site).href : url);
+
+  return html
+    .replace(/\b(src|href)="([^"]*)"/g, (_, name: string, url: string) => `${name}="${toAbsolute(url)}"`)
+    .replace(/\bsrcset="([^"]*)"/g, (_, srcset: string) =>
+      `srcset="${srcset.split(',').map(candidate => candidate.trim().replace(/^\S+/, toAbsolute)).join(', ')}"`
+    );
+}
+
+function toFeedItem(novel: NovelConfig, chapter: Chapter, site: URL, { withNovelTitle = false } = {}): RSSFeedItem {
+  const link = `${getNovelUrl(novel)}/${getChapterSlug(chapter)}`;
+  const cover = getChapterCoverUrl(novel, chapter);
+  const customData = [
+    chapter.data.updated && `<atom:updated>${chapter.data.updated.toISOString()}</atom:updated>`,
+    cover && `<media:content url="${escapeXml(new URL(cover, site).href)}" medium="image" />`,
+  ].filter(Boolean).join('');
+
+  const html = chapter.rendered?.html;
+
+  return {
+    title: withNovelTitle ? `【${novel.title}】${chapter.data.title}` : chapter.data.title,
+    link,
+    pubDate: getPublishDate(chapter),
+    description: createExcerpt(chapter.body ?? ''),
+    content: getFeedConfig(novel).fullContent && html ? absolutizeUrls(html, site) : undefined,
+    categories: chapter.data.pov ? [chapter.data.pov] : undefined,
+    customData: customData || undefined,
+  };
+}
+
+/**
+ * Newest first: by publish date, then reading order
+ */
+function compareNewest(a: { chapter: Chapter }, b: { chapter: Chapter }): number {
+  const dateA = getPublishDate(a.chapter)?.getTime() ?? 0;
+  const dateB = getPublishDate(b.chapter)?.getTime() ?? 0;
+  return dateB - dateA || b.chapter.data.order - a.chapter.data.order;
+}
+
+/**
+ * Channel elements @astrojs/rss doesn't write itself
+ */
+function channelData(url: string, site: URL): string {
+  return `<atom:link href="${new URL(url, site).href}" rel="self" type="application/rss+xml" /><language>zh-TW</language>`;
+}
+
+/**
+ * RSS feed of one novel's released chapters
+ */
+export async function renderNovelFeed(novel: NovelConfig, site: URL): Promise<Response> {
+  const chapters = (await getNovelChapters(novel)).map(chapter => ({ chapter }));
+
+  return rss({
+    title: novel.titleEn ? `${novel.title} (${novel.titleEn})` : novel.title,
+    description: novel.description,
+    site,
+    xmlns: XMLNS,
+    customData: channelData(getNovelFeedUrl(novel), site),
+    items: chapters.sort(compareNewest).map(({ chapter }) => toFeedItem(novel, chapter, site)),
+  });
+}
+
+/**
+ * RSS feed of the latest chapters across all novels
+ */
+export async function renderSiteFeed(site: URL): Promise<Response> {
+  const entries = [];
+  for (const novel of novels) {
+    entries.push(...(await getNovelChapters(novel)).map(chapter => ({ novel, chapter })));
+  }
+
+  return rss({
+    title: config.site.name,
+    description: config.site.subtitle,
+    site,
+    xmlns: XMLNS,
+    customData: channelData('/rss.xml', site),
+    items: entries
+      .sort(compareNewest)
+      .slice(0, SITE_FEED_LIMIT)
+      .map(({ novel, chapter }) => toFeedItem(novel, chapter, site, { withNovelTitle: true })),
+  });
+}
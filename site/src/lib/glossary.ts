@@ -0,0 +1,49 @@
+/**
+ * Glossaries parsed by `novels.js sync` (see scripts/lib/glossary.js)
+ */
+export interface GlossaryTerm {
+  id: string;
+  term: string;
+  subtitle: string | null;
+  /** Spellings matched in chapters: term, subtitle, short forms and aliases */
+  names: string[];
+  definition: string[];
+}
+
+export interface Glossary {
+  title: string | null;
+  description: string[];
+  categories: { title: string; terms: GlossaryTerm[] }[];
+  note: string[];
+}
+
+// A glob rather than an import: glossary.json only exists after a sync
+const glossaryData = Object.values(
+  import.meta.glob<Record<string, Glossary>>('../data/glossary.json', { eager: true, import: 'default' })
+)[0] ?? {};
+
+/**
+ * Glossary of a project directory (e.g. "BlindOrbit"), if the novel opted in
+ *
+ * Takes the project name rather than the novel config: the rehype plugin
+ * uses this module at config time, where ./novels (astro:content) can't load.
+ */
+export function getGlossary(projectName: string): Glossary | null {
+  return glossaryData[projectName] ?? null;
+}
+
+export function getGlossaryUrl(projectName: string): string {
+  return `/novel/${projectName}/glossary`;
+}
+
+export function getGlossaryTerms(glossary: Glossary): GlossaryTerm[] {
+  return glossary.categories.flatMap(category => category.terms);
+}
+
+/**
+ * One-line tooltip text, e.g. "Link-16（戰術數據鏈路）：北約標準…"
+ */
+export function getTermSummary(term: GlossaryTerm): string {
+  const name = term.subtitle ? `${term.term}（${term.subtitle}）` : term.term;
+  return `${name}：${term.definition.join(' ')}`;
+}
@@ -0,0 +1,71 @@
+/**
+ * Responsive variants written by `novels.js sync` (see scripts/lib/images.js)
+ */
+export interface ImageSource {
+  src: string;
+  width: number;
+}
+
+export interface ImageData {
+  width: number;
+  height: number;
+  sources: Record<string, ImageSource[]>;
+}
+
+// Chapter content is at most --max-width (800px) wide
+export const CHAPTER_IMAGE_SIZES = '(max-width: 800px) 100vw, 800px';
+
+// A glob rather than an import: images.json only exists after a sync
+const imagesData = Object.values(
+  import.meta.glob<Record<string, ImageData>>('../data/images.json', { eager: true, import: 'default' })
+)[0] ?? {};
+
+/**
+ * Variant data for a public image path, e.g. "/assets/BlindOrbit/chapters/ch01.png"
+ */
+export function getImageData(src: string): ImageData | null {
+  let path = src;
+  try {
+    path = decodeURI(src);
+  } catch {
+    // Keep malformed URLs as written
+  }
+  return imagesData[path] ?? null;
+}
+
+export function getSrcset(sources: ImageSource[]): string {
+  return sources.map(source => `${source.src} ${source.width}w`).join(', ');
+}
+
+function escapeAttribute(value: string): string {
+  return value.replace(/&(?!(?:#\d+|#x[\da-f]+|\w+);)/gi, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an <img> (given as attributes) as a <picture> with AVIF/WebP
+ * sources when variants exist, adding intrinsic size and lazy loading
+ */
+export function renderPicture(attributes: Record<string, string>, { eager = false } = {}): string {
+  const image = attributes.src ? getImageData(attributes.src) : null;
+
+  const imgAttributes: Record<string, string> = {
+    ...attributes,
+    loading: attributes.loading ?? (eager ? 'eager' : 'lazy'),
+    decoding: attributes.decoding ?? 'async',
+  };
+  if (image && !attributes.width && !attributes.height) {
+    imgAttributes.width = String(image.width);
+    imgAttributes.height = String(image.height);
+  }
+
+  const img = `<img ${Object.entries(imgAttributes)
+    .map(([name, value]) => `${name}="${escapeAttribute(value)}"`)
+    .join(' ')}>`;
+
+  if (!image) return img;
+
+  const sources = Object.entries(image.sources).map(([format, variants]) =>
+    `<source type="image/${format}" srcset="${getSrcset(variants)}" sizes="${CHAPTER_IMAGE_SIZES}">`
+  );
+  return `<picture>${sources.join('')}${img}</picture>`;
+}
@@ -0,0 +1,10 @@
+import rehypeGlossary from './rehype-glossary';
+import rehypeResponsiveImages from './rehype-responsive-images';
+import rehypeParagraphIds from './rehype-paragraph-ids';
+
+/**
+ * Rehype plugins for chapter Markdown, shared by astro.config.mjs and the
+ * scripts that render chapters elsewhere (scripts/lib/markdown.js), so
+ * WordPress posts get the same glossary tooltips, images and paragraph ids
+ */
+export const rehypePlugins = [rehypeGlossary, rehypeResponsiveImages, rehypeParagraphIds];
@@ -0,0 +1,168 @@
+import { getCollection, render, type CollectionEntry } from 'astro:content';
+import config from '../../../novels.config.json';
+
+export type NovelConfig = (typeof config.novels)[number];
+export type Chapter = CollectionEntry<'novels'>;
+
+/**
+ * A part (volume) declared in a novel's `parts` config
+ *
+ * `chapters` lists chapter file names (e.g. "Chap_00_Prologue_The_Tinderbox.md"),
+ * so renumbering chapters never moves them between parts.
+ * `cover` is a URL or a path under the project's `_assets/`.
+ */
+export interface NovelPart {
+  slug: string;
+  title: string;
+  description?: string;
+  cover?: string;
+  chapters: string[];
+}
+
+export interface PartWithChapters {
+  /** null for chapters not listed in any part */
+  part: NovelPart | null;
+  chapters: Chapter[];
+}
+
+/**
+ * All novels declared in novels.config.json
+ */
+export const novels: NovelConfig[] = config.novels;
+
+/**
+ * Project directory name, used for URLs, content IDs and asset paths
+ * (e.g. "BlindOrbit" for the novel whose config slug is "2028ww3")
+ */
+export function getProjectName(novel: NovelConfig): string {
+  return novel.project || novel.slug;
+}
+
+export function getNovelUrl(novel: NovelConfig): string {
+  return `/novel/${getProjectName(novel)}`;
+}
+
+export function findNovel(projectName: string): NovelConfig | undefined {
+  return novels.find(n => getProjectName(n) === projectName);
+}
+
+/**
+ * Chapter URL slug: content ID without the novel prefix and .md extension
+ */
+export function getChapterSlug(chapter: Chapter): string {
+  return chapter.id.replace(/^[^/]+\//, '').replace('.md', '');
+}
+
+/**
+ * Whether a chapter is public: not a draft, and its publish_at (if any) has
+ * passed. `scheduled` without publish_at stays hidden.
+ * Keep in sync with isReleased() in scripts/lib/release.js.
+ */
+export function isChapterReleased(chapter: Chapter, now = new Date()): boolean {
+  const { status, publish_at } = chapter.data;
+  if (status === 'draft') return false;
+  if (publish_at) return publish_at <= now;
+  return status !== 'scheduled';
+}
+
+/**
+ * Released chapters of a novel, sorted by frontmatter order
+ *
+ * Static builds use the build time as "now"; `astro dev` shows every
+ * chapter so drafts can be previewed.
+ */
+export async function getNovelChapters(novel: NovelConfig): Promise<Chapter[]> {
+  // Content IDs are lowercased by the glob loader (e.g. "blindorbit/chap_00_...")
+  const prefix = `${getProjectName(novel).toLowerCase()}/`;
+  const allChapters = await getCollection('novels');
+  return allChapters
+    .filter(c => c.id.toLowerCase().startsWith(prefix))
+    .filter(c => import.meta.env.DEV || isChapterReleased(c))
+    .sort((a, b) => (a.data.order || 0) - (b.data.order || 0));
+}
+
+/**
+ * Chapter file name without extension, lowercased for matching
+ */
+export function getChapterKey(fileName: string): string {
+  return fileName.split('/').pop()!.replace(/\.md$/, '').toLowerCase();
+}
+
+// Rendered heading text has smart quotes and dashes
+function normalizeHeading(text: string): string {
+  return text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Links to scenes of a chapter by their Markdown heading text (as in the
+ * data `novels.js sync` extracts), falling back to the chapter itself
+ *
+ * Headings are matched in order: a chapter may repeat a heading.
+ */
+export async function getSceneUrls(novel: NovelConfig, chapter: Chapter, headings: (string | null)[]): Promise<string[]> {
+  const chapterUrl = `${getNovelUrl(novel)}/${getChapterSlug(chapter)}`;
+  const rendered = (await render(chapter)).headings;
+  let index = 0;
+
+  return headings.map(heading => {
+    if (!heading) return chapterUrl;
+    const target = normalizeHeading(heading);
+    const found = rendered.findIndex((h, i) => i >= index && normalizeHeading(h.text) === target);
+    if (found === -1) return chapterUrl;
+    index = found + 1;
+    return `${chapterUrl}#${rendered[found].slug}`;
+  });
+}
+
+export function getNovelPartUrl(novel: NovelConfig, part: NovelPart): string {
+  return `${getNovelUrl(novel)}/parts/${part.slug}`;
+}
+
+/**
+ * Resolve a part cover to a URL (absolute URLs pass through)
+ */
+export function getPartCoverUrl(novel: NovelConfig, part: NovelPart): string | null {
+  if (!part.cover) return null;
+  if (/^(https?:)?\/\//.test(part.cover) || part.cover.startsWith('/')) return part.cover;
+  return `/assets/${getProjectName(novel)}/${part.cover}`;
+}
+
+/**
+ * Group a novel's chapters by the parts declared in novels.config.json
+ *
+ * Parts keep their config order and chapters their reading order. Parts
+ * with no synced chapters are left out; chapters not listed in any part
+ * are collected in a trailing section with `part: null` (a novel without
+ * parts is a single such section).
+ */
+export async function getNovelParts(novel: NovelConfig): Promise<PartWithChapters[]> {
+  const chapters = await getNovelChapters(novel);
+  const parts: NovelPart[] = (novel as { parts?: NovelPart[] }).parts ?? [];
+
+  const partByChapter = new Map<string, NovelPart>();
+  for (const part of parts) {
+    for (const fileName of part.chapters) {
+      const key = getChapterKey(fileName);
+      if (!partByChapter.has(key)) partByChapter.set(key, part);
+    }
+  }
+
+  const findPart = (chapter: Chapter) =>
+    partByChapter.get(getChapterKey(chapter.filePath ?? chapter.id)) ?? null;
+
+  const sections: PartWithChapters[] = parts
+    .map(part => ({ part, chapters: chapters.filter(c => findPart(c) === part) }))
+    .filter(section => section.chapters.length > 0);
+
+  const unassigned = chapters.filter(c => findPart(c) === null);
+  if (unassigned.length > 0) {
+    sections.push({ part: null, chapters: unassigned });
+  }
+
+  return sections;
+}
@@ -0,0 +1,92 @@
+import {
+  getNovelUrl,
+  getProjectName,
+  getNovelChapters,
+  getChapterKey,
+  getSceneUrls,
+  type Chapter,
+  type NovelConfig,
+} from './novels';
+
+/**
+ * Place lists and scene locations extracted by `novels.js sync` (see
+ * scripts/lib/places.js)
+ */
+export interface Place {
+  id: string;
+  name: string;
+  subtitle: string | null;
+  /** Spellings matched in chapters: name, subtitle and aliases */
+  names: string[];
+  country: string;
+  /** Region key, e.g. "Asia" (see storylines.ts) */
+  theatre: string | null;
+  /** ID of the place this one lies within */
+  parent: string | null;
+  description: string[];
+}
+
+export interface PlaceCountry {
+  name: string;
+  subtitle: string | null;
+  theatre: string | null;
+  places: Place[];
+}
+
+export interface PlaceScene {
+  /** Chapter file name */
+  file: string;
+  /** Heading text, or null for a chapter placed as a whole */
+  heading: string | null;
+  dateline: string | null;
+  title: string | null;
+  /** Place IDs */
+  places: string[];
+}
+
+export interface PlaceList {
+  title: string | null;
+  description: string[];
+  countries: PlaceCountry[];
+  scenes: PlaceScene[];
+}
+
+export interface LinkedPlaceScene extends PlaceScene {
+  chapter: Chapter;
+  url: string;
+}
+
+// A glob rather than an import: places.json only exists after a sync
+const placesData = Object.values(
+  import.meta.glob<Record<string, PlaceList>>('../data/places.json', { eager: true, import: 'default' })
+)[0] ?? {};
+
+export function getPlaceList(novel: NovelConfig): PlaceList | null {
+  return placesData[getProjectName(novel)] ?? null;
+}
+
+export function getPlacesUrl(novel: NovelConfig): string {
+  return `${getNovelUrl(novel)}/places`;
+}
+
+export function getPlaces(list: PlaceList): Place[] {
+  return list.countries.flatMap(country => country.places);
+}
+
+/**
+ * Scenes of released chapters in reading order, linked to their headings
+ */
+export async function getPlaceScenes(novel: NovelConfig, list: PlaceList): Promise<LinkedPlaceScene[]> {
+  const scenes: LinkedPlaceScene[] = [];
+
+  for (const chapter of await getNovelChapters(novel)) {
+    const key = getChapterKey(chapter.filePath ?? chapter.id);
+    const chapterScenes = list.scenes.filter(scene => getChapterKey(scene.file) === key);
+    if (chapterScenes.length === 0) continue;
+
+    const urls = await getSceneUrls(novel, chapter, chapterScenes.map(scene => scene.heading));
+    chapterScenes.forEach((scene, index) => scenes.push({ ...scene, chapter, url: urls[index] }));
+  }
+
+  return scenes;
+}
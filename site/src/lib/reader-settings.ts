@@ -0,0 +1,88 @@
+/**
+ * Reader display settings kept in the browser (localStorage): theme, font,
+ * font size, line height and content width of chapter text
+ *
+ * BaseLayout applies the stored settings from an inline script in <head> so
+ * the page is painted with them, checked against SETTING_RANGES passed to
+ * it; keep its copy of `loadSettings` and `applySettings` in step.
+ */
+
+export type Theme = 'auto' | 'light' | 'sepia' | 'dark';
+export type ReadingFont = 'sans' | 'serif';
+
+export interface ReaderSettings {
+  /** "auto" follows the system's light or dark preference */
+  theme: Theme;
+  font: ReadingFont;
+  /** rem */
+  size: number;
+  lineHeight: number;
+  /** px */
+  width: number;
+}
+
+export const STORAGE_KEY = 'novels365:reader';
+
+export const DEFAULT_SETTINGS: ReaderSettings = {
+  theme: 'auto',
+  font: 'sans',
+  size: 1.1,
+  lineHeight: 2,
+  width: 800,
+};
+
+/** Range input bounds for the numeric settings */
+export const SETTING_RANGES = {
+  size: { min: 0.9, max: 1.6, step: 0.1 },
+  lineHeight: { min: 1.6, max: 2.4, step: 0.2 },
+  width: { min: 600, max: 1000, step: 100 },
+} as const;
+
+const THEMES: Theme[] = ['auto', 'light', 'sepia', 'dark'];
+const FONTS: ReadingFont[] = ['sans', 'serif'];
+
+const inRange = (value: unknown, { min, max }: { min: number; max: number }) =>
+  typeof value === 'number' && value >= min && value <= max;
+
+/**
+ * Stored settings, with defaults for anything missing or out of range
+ */
+export function loadSettings(): ReaderSettings {
+  let stored: Partial<ReaderSettings> = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}') ?? {};
+  } catch {
+    // Storage disabled or corrupted: defaults
+  }
+  return {
+    theme: THEMES.includes(stored.theme!) ? stored.theme! : DEFAULT_SETTINGS.theme,
+    font: FONTS.includes(stored.font!) ? stored.font! : DEFAULT_SETTINGS.font,
+    size: inRange(stored.size, SETTING_RANGES.size) ? stored.size! : DEFAULT_SETTINGS.size,
+    lineHeight: inRange(stored.lineHeight, SETTING_RANGES.lineHeight) ? stored.lineHeight! : DEFAULT_SETTINGS.lineHeight,
+    width: inRange(stored.width, SETTING_RANGES.width) ? stored.width! : DEFAULT_SETTINGS.width,
+  };
+}
+
+export function saveSettings(settings: ReaderSettings): void {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage full or disabled: settings last until the page is left
+  }
+}
+
+export function prefersDark(): boolean {
+  return matchMedia('(prefers-color-scheme: dark)').matches;
+}
+
+/**
+ * Set the theme and chapter text styles on the document (see the
+ * `data-theme` and `--reading-*` rules in global.css)
+ */
+export function applySettings(settings: ReaderSettings, root = document.documentElement): void {
+  root.dataset.theme = settings.theme === 'auto' ? (prefersDark() ? 'dark' : 'light') : settings.theme;
+  root.dataset.readingFont = settings.font;
+  root.style.setProperty('--reading-font-size', `${settings.size}rem`);
+  root.style.setProperty('--reading-line-height', String(settings.lineHeight));
+  root.style.setProperty('--reading-width', `${settings.width}px`);
+}
@@ -0,0 +1,219 @@
+/**
+ * Reading progress kept in the browser (localStorage): per novel, the last
+ * chapter and paragraph read, finished chapters and paragraph bookmarks
+ *
+ * There are no accounts; readers move their progress between devices by
+ * exporting it to a file and importing it on the other one, which merges
+ * the two.
+ */
+
+export interface ChapterRef {
+  slug: string;
+  title: string;
+  url: string;
+}
+
+export interface LastPosition extends ChapterRef {
+  /** Top paragraph on screen (the `p-N` anchor), null before the first */
+  paragraph: number | null;
+  /** How far through the chapter, 0-100 */
+  percent: number;
+  /** Whether the end of the chapter was reached */
+  finished: boolean;
+  next: ChapterRef | null;
+  at: string;
+}
+
+export interface Bookmark extends ChapterRef {
+  paragraph: number;
+  excerpt: string;
+  at: string;
+}
+
+export interface NovelProgress {
+  title: string;
+  url: string;
+  last: LastPosition | null;
+  /** Chapter slug → when it was finished */
+  read: Record<string, string>;
+  bookmarks: Bookmark[];
+}
+
+export interface ReadingProgress {
+  version: 1;
+  /** Keyed by project directory */
+  novels: Record<string, NovelProgress>;
+}
+
+const STORAGE_KEY = 'novels365:reading';
+
+function emptyProgress(): ReadingProgress {
+  return { version: 1, novels: {} };
+}
+
+// Links kept in the progress are pages of a novel on this site, either
+// edition; anything else (javascript:, other hosts) is never followed
+const NOVEL_PATH_REGEX = /^\/(?:zh-hans\/)?novel\/[^\s"'<>\\]*$/;
+
+export function isNovelPath(url: unknown): url is string {
+  return typeof url === 'string' && NOVEL_PATH_REGEX.test(url);
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isString(value: unknown): value is string {
+  return typeof value === 'string';
+}
+
+function isParagraph(value: unknown): value is number {
+  return Number.isInteger(value) && (value as number) > 0;
+}
+
+function isChapterRef(value: unknown): value is ChapterRef & Record<string, unknown> {
+  return isObject(value) && isString(value.slug) && isString(value.title) && isNovelPath(value.url);
+}
+
+function isLastPosition(value: unknown): value is LastPosition {
+  return isChapterRef(value) &&
+    (value.paragraph === null || isParagraph(value.paragraph)) &&
+    typeof value.percent === 'number' && value.percent >= 0 && value.percent <= 100 &&
+    typeof value.finished === 'boolean' &&
+    (value.next === null || isChapterRef(value.next)) &&
+    isString(value.at);
+}
+
+function isBookmark(value: unknown): value is Bookmark {
+  return isChapterRef(value) && isParagraph(value.paragraph) && isString(value.excerpt) && isString(value.at);
+}
+
+// Keys that would reach Object.prototype when used to index a plain object
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function hasSafeKeys(value: Record<string, unknown>): boolean {
+  return Object.keys(value).every(key => !RESERVED_KEYS.has(key));
+}
+
+function isNovelProgress(value: unknown): value is NovelProgress {
+  return isObject(value) &&
+    isString(value.title) && isNovelPath(value.url) &&
+    (value.last === null || isLastPosition(value.last)) &&
+    isObject(value.read) && hasSafeKeys(value.read) && Object.values(value.read).every(isString) &&
+    Array.isArray(value.bookmarks) && value.bookmarks.every(isBookmark);
+}
+
+/**
+ * Every field is checked, down to each bookmark, so merging an imported
+ * file can't fail halfway or store links to other sites
+ */
+function isProgress(value: unknown): value is ReadingProgress {
+  return isObject(value) && value.version === 1 &&
+    isObject(value.novels) && hasSafeKeys(value.novels) && Object.values(value.novels).every(isNovelProgress);
+}
+
+export function loadProgress(): ReadingProgress {
+  try {
+    const value = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+    return isProgress(value) ? value : emptyProgress();
+  } catch {
+    // Storage disabled (private mode) or corrupted
+    return emptyProgress();
+  }
+}
+
+export function saveProgress(progress: ReadingProgress): void {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // Storage full or disabled: progress just isn't kept
+  }
+}
+
+/**
+ * A novel's progress, created when the reader hasn't opened it before
+ */
+export function getNovelProgress(progress: ReadingProgress, project: string, novel: { title: string; url: string }): NovelProgress {
+  const entry = progress.novels[project] ??= { ...novel, last: null, read: {}, bookmarks: [] };
+  // Keep titles and links current if the novel was renamed
+  Object.assign(entry, novel);
+  return entry;
+}
+
+/**
+ * Where "continue reading" goes: the next chapter once the last one was
+ * finished, otherwise the paragraph the reader stopped at
+ */
+export function getContinueTarget(novel: NovelProgress): { url: string; title: string; percent: number } | null {
+  const { last } = novel;
+  if (!last) return null;
+  if (last.finished && last.next && isNovelPath(last.next.url)) {
+    return { url: last.next.url, title: last.next.title, percent: 0 };
+  }
+  if (!isNovelPath(last.url)) return null;
+  const url = last.paragraph && !last.finished ? `${last.url}#p-${last.paragraph}` : last.url;
+  return { url, title: last.title, percent: last.percent };
+}
+
+/**
+ * Link to a bookmarked paragraph, or null for a link off the novel pages
+ */
+export function bookmarkUrl(bookmark: Bookmark): string | null {
+  return isNovelPath(bookmark.url) ? `${bookmark.url}#p-${bookmark.paragraph}` : null;
+}
+
+/**
+ * Combine imported progress into the current one: the later last position
+ * wins, finished chapters and bookmarks are united
+ */
+export function mergeProgress(current: ReadingProgress, imported: ReadingProgress): ReadingProgress {
+  const merged: ReadingProgress = structuredClone(current);
+  for (const [project, novel] of Object.entries(imported.novels)) {
+    if (RESERVED_KEYS.has(project)) continue;
+    const entry = Object.hasOwn(merged.novels, project) ? merged.novels[project] : null;
+    if (!entry) {
+      merged.novels[project] = structuredClone(novel);
+      continue;
+    }
+
+    if (novel.last && (!entry.last || novel.last.at > entry.last.at)) entry.last = novel.last;
+    for (const [slug, at] of Object.entries(novel.read)) {
+      if (RESERVED_KEYS.has(slug)) continue;
+      if (!Object.hasOwn(entry.read, slug) || at < entry.read[slug]) entry.read[slug] = at;
+    }
+    for (const bookmark of novel.bookmarks) {
+      const exists = entry.bookmarks.some(b => b.slug === bookmark.slug && b.paragraph === bookmark.paragraph);
+      if (!exists) entry.bookmarks.push(bookmark);
+    }
+    entry.bookmarks.sort((a, b) => a.at.localeCompare(b.at));
+  }
+  return merged;
+}
+
+/**
+ * Parse an exported progress file
+ *
+ * @throws {Error} When the file isn't exported progress
+ */
+export function parseProgressFile(text: string): ReadingProgress {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    throw new Error('檔案不是有效的 JSON');
+  }
+  if (!isProgress(value)) throw new Error('檔案不是閱讀進度的匯出檔');
+  return value;
+}
+
+/**
+ * Download the progress as a JSON file
+ */
+export function downloadProgress(progress: ReadingProgress): void {
+  const blob = new Blob([JSON.stringify(progress, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `novels365-progress-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
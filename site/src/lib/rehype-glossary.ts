@@ -0,0 +1,119 @@
+import type { Root, Element, ElementContent, RootContent, Text } from 'hast';
+import type { VFile } from 'vfile';
+import { getGlossary, getGlossaryTerms, getGlossaryUrl, getTermSummary, type GlossaryTerm } from './glossary';
+
+// Never link inside these (headings stay plain, links can't nest)
+const SKIPPED_TAGS = new Set([
+  'a', 'abbr', 'button', 'code', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'kbd', 'picture', 'pre', 'script', 'style', 'svg',
+]);
+
+const CONTENT_PATH_REGEX = /[\\/]content[\\/]novels[\\/]([^\\/]+)[\\/]/;
+
+function escapeRegex(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * One regex over every spelling, longest first so "F-16V Viper" wins over
+ * "F-16V". Latin edges need a word boundary ("INS" must not match "INSIDE");
+ * CJK text has no spaces, so Han edges match anywhere.
+ */
+function createMatcher(terms: GlossaryTerm[]) {
+  const termByName = new Map<string, GlossaryTerm>();
+  for (const term of terms) {
+    for (const name of term.names) {
+      if (!termByName.has(name)) termByName.set(name, term);
+    }
+  }
+
+  const patterns = [...termByName.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(name => {
+      const start = /^[A-Za-z0-9]/.test(name) ? '(?<![A-Za-z0-9])' : '';
+      const end = /[A-Za-z0-9]$/.test(name) ? '(?![A-Za-z0-9])' : '';
+      return `${start}${escapeRegex(name)}${end}`;
+    });
+
+  return { regex: new RegExp(patterns.join('|'), 'g'), termByName };
+}
+
+function createTermElement(term: GlossaryTerm, text: string, projectName: string): Element {
+  const tooltipId = `glossary-${term.id}`;
+  return {
+    type: 'element',
+    tagName: 'span',
+    properties: { className: ['glossary-term'] },
+    children: [
+      {
+        type: 'element',
+        tagName: 'a',
+        properties: { href: `${getGlossaryUrl(projectName)}#${term.id}`, ariaDescribedBy: tooltipId },
+        children: [{ type: 'text', value: text }],
+      },
+      {
+        type: 'element',
+        tagName: 'span',
+        properties: { id: tooltipId, role: 'tooltip', className: ['glossary-tooltip'], hidden: true },
+        children: [{ type: 'text', value: getTermSummary(term) }],
+      },
+    ],
+  };
+}
+
+/**
+ * Link the first occurrence of each glossary term in a chapter to the
+ * novel's glossary page, with the definition as a tooltip
+ *
+ * Only novels with a `glossary` config have data (see lib/glossary.ts).
+ * Terms listed in a chapter's `glossary_exclude` frontmatter (by term,
+ * alias or ID) are left alone there.
+ */
+export default function rehypeGlossary() {
+  return (tree: Root, file: VFile) => {
+    const projectName = file.path?.match(CONTENT_PATH_REGEX)?.[1];
+    const glossary = projectName ? getGlossary(projectName) : null;
+    if (!projectName || !glossary) return;
+
+    const frontmatter = (file.data.astro as { frontmatter?: Record<string, unknown> } | undefined)?.frontmatter ?? {};
+    const excluded = new Set(
+      (Array.isArray(frontmatter.glossary_exclude) ? frontmatter.glossary_exclude : []).map(String)
+    );
+    const terms = getGlossaryTerms(glossary).filter(term =>
+      !excluded.has(term.id) && !excluded.has(term.term) && !term.names.some(name => excluded.has(name))
+    );
+    if (terms.length === 0) return;
+
+    const { regex, termByName } = createMatcher(terms);
+    const linked = new Set<GlossaryTerm>();
+
+    const splitText = (node: Text): ElementContent[] => {
+      const parts: ElementContent[] = [];
+      let lastIndex = 0;
+
+      for (const match of node.value.matchAll(regex)) {
+        const term = termByName.get(match[0])!;
+        if (linked.has(term)) continue;
+        linked.add(term);
+
+        if (match.index > lastIndex) parts.push({ type: 'text', value: node.value.slice(lastIndex, match.index) });
+        parts.push(createTermElement(term, match[0], projectName));
+        lastIndex = match.index + match[0].length;
+      }
+
+      if (lastIndex === 0) return [node];
+      if (lastIndex < node.value.length) parts.push({ type: 'text', value: node.value.slice(lastIndex) });
+      return parts;
+    };
+
+    const visit = (parent: Root | Element) => {
+      parent.children = parent.children.flatMap((node: RootContent | ElementContent) => {
+        if (linked.size === terms.length) return [node];
+        if (node.type === 'text') return splitText(node);
+        if (node.type === 'element' && !SKIPPED_TAGS.has(node.tagName)) visit(node);
+        return [node];
+      }) as typeof parent.children;
+    };
+
+    visit(tree);
+  };
+}
@@ -0,0 +1,26 @@
+import type { Root, Element } from 'hast';
+
+/**
+ * Number chapter paragraphs (`id="p-1"`, `id="p-2"`, ...) in document order
+ * so search results can link straight to them
+ *
+ * The search index (pages/novel/[novel]/search.json.ts) reads the numbers
+ * back from the rendered HTML, so the two always agree.
+ */
+export default function rehypeParagraphIds() {
+  return (tree: Root) => {
+    let count = 0;
+    const visit = (parent: Root | Element) => {
+      for (const node of parent.children) {
+        if (node.type !== 'element') continue;
+        if (node.tagName === 'p') {
+          count++;
+          node.properties.id ??= `p-${count}`;
+        } else {
+          visit(node);
+        }
+      }
+    };
+    visit(tree);
+  };
+}
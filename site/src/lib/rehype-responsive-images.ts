@@ -0,0 +1,62 @@
+import type { Root, Element, ElementContent, RootContent } from 'hast';
+import { renderPicture } from './images';
+
+const IMG_TAG_REGEX = /<img\b([^>]*?)\s*\/?>/gi;
+const ATTRIBUTE_REGEX = /([^\s"'=<>`/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function parseAttributes(source: string): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  for (const match of source.matchAll(ATTRIBUTE_REGEX)) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+/**
+ * Attributes of a Markdown image (`![alt](src)`) element
+ */
+function elementAttributes(node: Element): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  for (const [name, value] of Object.entries(node.properties)) {
+    if (value === undefined || value === null || value === false) continue;
+    const attribute = name === 'className' ? 'class' : name.toLowerCase();
+    attributes[attribute] = Array.isArray(value) ? value.join(' ') : String(value);
+  }
+  return attributes;
+}
+
+/**
+ * Render chapter images as <picture> with responsive AVIF/WebP sources
+ *
+ * Handles both Markdown images and the raw `<img>` tags inserted by
+ * `novels.js images`. The first image of a chapter loads eagerly; the rest
+ * are lazy. Images without synced variants keep a plain <img>.
+ */
+export default function rehypeResponsiveImages() {
+  return (tree: Root) => {
+    let imageCount = 0;
+    const render = (attributes: Record<string, string>) =>
+      renderPicture(attributes, { eager: imageCount++ === 0 });
+
+    const visit = (parent: Root | Element) => {
+      parent.children = parent.children.map((node: RootContent | ElementContent) => {
+        if (node.type === 'raw') {
+          return {
+            ...node,
+            value: node.value.replace(IMG_TAG_REGEX, (_, source: string) => render(parseAttributes(source))),
+          };
+        }
+        if (node.type === 'element') {
+          if (node.tagName === 'img') {
+            return { type: 'raw', value: render(elementAttributes(node)) };
+          }
+          // Leave hand-written <picture> elements alone
+          if (node.tagName !== 'picture') visit(node);
+        }
+        return node;
+      }) as typeof parent.children;
+    };
+
+    visit(tree);
+  };
+}
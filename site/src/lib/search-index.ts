@@ -0,0 +1,47 @@
+import { getNovelUrl, getNovelChapters, getChapterSlug, type NovelConfig } from './novels';
+import { buildSearchIndex, type SearchIndex } from './search';
+
+// Paragraphs numbered by rehype-paragraph-ids
+const PARAGRAPH_REGEX = /<p\b[^>]*\bid="p-(\d+)"[^>]*>([\s\S]*?)<\/p>/g;
+// Glossary tooltips repeat the definition inside the paragraph
+const TOOLTIP_REGEX = /<span\b[^>]*\brole="tooltip"[^>]*>[\s\S]*?<\/span>/g;
+
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function toText(html: string): string {
+  return html
+    .replace(TOOLTIP_REGEX, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name: string) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[name] ?? entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Search index of a novel's released chapters, from their rendered HTML
+ */
+export async function getNovelSearchIndex(novel: NovelConfig): Promise<SearchIndex> {
+  const chapters: SearchIndex['chapters'] = [];
+  const paragraphs: SearchIndex['paragraphs'] = [];
+
+  for (const chapter of await getNovelChapters(novel)) {
+    const chapterIndex = chapters.length;
+    chapters.push({ title: chapter.data.title, url: `${getNovelUrl(novel)}/${getChapterSlug(chapter)}` });
+    for (const [, number, html] of (chapter.rendered?.html ?? '').matchAll(PARAGRAPH_REGEX)) {
+      const text = toText(html);
+      if (text) paragraphs.push([chapterIndex, Number(number), text]);
+    }
+  }
+
+  return buildSearchIndex(chapters, paragraphs);
+}
+
+export function getSearchIndexUrl(novel: NovelConfig): string {
+  return `${getNovelUrl(novel)}/search.json`;
+}
@@ -0,0 +1,178 @@
+/**
+ * Full-text search over chapter paragraphs, shared by the build-time index
+ * (pages/novel/[novel]/search.json.ts) and the client-side search page
+ *
+ * Chinese has no spaces between words, so CJK text is indexed as
+ * overlapping character pairs ("醫院包圍" → 醫院, 院包, 包圍) and other
+ * scripts as whole words. A query looks up the pairs and words it contains
+ * to find candidate paragraphs, then keeps those containing every query
+ * term as written, which also rules out pairs that matched out of order.
+ */
+
+export interface SearchIndex {
+  chapters: { title: string; url: string }[];
+  /** [chapter index, paragraph number (the `p-N` anchor), text] */
+  paragraphs: [number, number, string][];
+  /** Token → ascending paragraph indexes, delta-encoded */
+  tokens: Record<string, number[]>;
+}
+
+export interface SearchHit {
+  chapter: number;
+  paragraph: number;
+  text: string;
+  /** [start, end) of each match in `text`, in order */
+  ranges: [number, number][];
+}
+
+const CJK_RUN_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+const CJK_CHAR_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Case- and width-folded text, the same length as the input so match
+ * offsets apply to the original ("ＧＰＳ" and "GPS" both give "gps")
+ */
+export function normalizeText(text: string): string {
+  return Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    // Full-width ASCII (！ to ～) to its half-width form
+    const folded = code >= 0xff01 && code <= 0xff5e ? String.fromCharCode(code - 0xfee0) : char;
+    const lower = folded.toLowerCase();
+    return lower.length === folded.length ? lower : folded;
+  }).join('');
+}
+
+/**
+ * Index tokens of normalized text: CJK character pairs (a lone character
+ * is its own token) and the words of other scripts
+ */
+export function tokenize(text: string): string[] {
+  const tokens = new Set<string>();
+  for (const [run] of text.matchAll(CJK_RUN_REGEX)) {
+    const chars = Array.from(run);
+    if (chars.length === 1) tokens.add(run);
+    for (let i = 0; i < chars.length - 1; i++) tokens.add(chars[i] + chars[i + 1]);
+  }
+  for (const [word] of text.replace(CJK_RUN_REGEX, ' ').matchAll(WORD_REGEX)) tokens.add(word);
+  return [...tokens];
+}
+
+/**
+ * Build an index over paragraphs given in reading order
+ */
+export function buildSearchIndex(chapters: SearchIndex['chapters'], paragraphs: SearchIndex['paragraphs']): SearchIndex {
+  const postings = new Map<string, number[]>();
+  paragraphs.forEach(([, , text], index) => {
+    for (const token of tokenize(normalizeText(text))) {
+      const list = postings.get(token) ?? [];
+      list.push(index);
+      postings.set(token, list);
+    }
+  });
+
+  const tokens: Record<string, number[]> = {};
+  for (const [token, list] of postings) {
+    tokens[token] = list.map((value, i) => (i === 0 ? value : value - list[i - 1]));
+  }
+  return { chapters, paragraphs, tokens };
+}
+
+function intersect(a: Set<number> | null, b: Set<number>): Set<number> {
+  return a ? new Set([...a].filter(id => b.has(id))) : b;
+}
+
+function decode(deltas: number[]): number[] {
+  let value = 0;
+  return deltas.map(delta => (value += delta));
+}
+
+/**
+ * Paragraphs that may contain a query term, or null when its tokens can't
+ * narrow it down (a single CJK character only appears as part of pairs)
+ */
+function findCandidates(index: SearchIndex, term: string): Set<number> | null {
+  let candidates: Set<number> | null = null;
+  for (const token of tokenize(term)) {
+    let found: number[];
+    if (CJK_CHAR_REGEX.test(token)) {
+      if (Array.from(token).length === 1) continue;
+      found = index.tokens[token] ? decode(index.tokens[token]) : [];
+    } else {
+      // Words match as prefixes: "reap" finds "reaper"
+      found = Object.keys(index.tokens)
+        .filter(key => key.startsWith(token))
+        .flatMap(key => decode(index.tokens[key]));
+    }
+    candidates = intersect(candidates, new Set(found));
+  }
+  return candidates;
+}
+
+/**
+ * Query terms: whitespace-separated, normalized, each required
+ */
+export function parseQuery(query: string): string[] {
+  return [...new Set(normalizeText(query).split(/\s+/).filter(Boolean))];
+}
+
+/**
+ * Ranges of every occurrence of the terms in text, merged where they overlap
+ */
+export function findMatches(text: string, terms: string[]): [number, number][] {
+  const normalized = normalizeText(text);
+  const ranges: [number, number][] = [];
+  for (const term of terms) {
+    for (let at = normalized.indexOf(term); at !== -1; at = normalized.indexOf(term, at + term.length)) {
+      ranges.push([at, at + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce<[number, number][]>((merged, range) => {
+    const last = merged.at(-1);
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+}
+
+/**
+ * Paragraphs containing every term of the query, in reading order
+ */
+export function search(index: SearchIndex, query: string): SearchHit[] {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  let candidates: Set<number> | null = null;
+  for (const term of terms) {
+    const found = findCandidates(index, term);
+    if (found) candidates = intersect(candidates, found);
+  }
+  const pool = candidates ? [...candidates].sort((a, b) => a - b) : index.paragraphs.map((_, i) => i);
+
+  const hits: SearchHit[] = [];
+  for (const id of pool) {
+    const [chapter, paragraph, text] = index.paragraphs[id];
+    const normalized = normalizeText(text);
+    if (!terms.every(term => normalized.includes(term))) continue;
+    hits.push({ chapter, paragraph, text, ranges: findMatches(text, terms) });
+  }
+  return hits;
+}
+
+/**
+ * Part of a hit around its first match, with the matches inside it
+ */
+export function getSnippet(hit: SearchHit, context = 40): { text: string; ranges: [number, number][]; clippedStart: boolean; clippedEnd: boolean } {
+  const first = hit.ranges[0] ?? [0, 0];
+  const start = Math.max(0, first[0] - context);
+  const end = Math.min(hit.text.length, Math.max(first[1] + context, start + context * 2));
+  return {
+    text: hit.text.slice(start, end),
+    ranges: hit.ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start, to - start]),
+    clippedStart: start > 0,
+    clippedEnd: end < hit.text.length,
+  };
+}
@@ -0,0 +1,63 @@
+import { getNovelUrl, type Chapter, type NovelConfig } from './novels';
+import { parsePov, type Character } from './characters';
+
+/**
+ * A thread readers can follow through a novel: a theatre (`region`,
+ * from the chapter file name) or a POV character
+ */
+export interface Storyline {
+  type: 'region' | 'pov';
+  /** Region name, character slug, or the POV name when no profile matches */
+  key: string;
+  label: string;
+}
+
+// Display names and filter order of the theatres in chapter file names
+export const REGION_LABELS: Record<string, string> = {
+  Asia: '亞洲戰線',
+  Europe: '歐洲戰線',
+  MiddleEast: '中東戰線',
+  Global: '全球',
+  Interlude: '插曲',
+};
+
+export function getRegionLabel(region: string): string {
+  return REGION_LABELS[region] ?? region;
+}
+
+/**
+ * Storylines a chapter belongs to: its region, then each POV
+ *
+ * POVs matched to a character profile use the profile (so "張弘毅/Reaper"
+ * and "張弘毅" are one storyline); unmatched names are only storylines when
+ * the novel has no profiles, which keeps "多視角" from becoming one.
+ */
+export function getChapterStorylines(chapter: Chapter, characters: Character[]): Storyline[] {
+  const storylines: Storyline[] = [];
+  if (chapter.data.region) {
+    storylines.push({ type: 'region', key: chapter.data.region, label: getRegionLabel(chapter.data.region) });
+  }
+
+  for (const { name, character } of parsePov(chapter.data.pov, characters)) {
+    if (character) {
+      storylines.push({ type: 'pov', key: character.data.slug, label: character.data.name });
+    } else if (characters.length === 0) {
+      storylines.push({ type: 'pov', key: name, label: name });
+    }
+  }
+
+  return storylines.filter((storyline, index) =>
+    storylines.findIndex(s => s.type === storyline.type && s.key === storyline.key) === index
+  );
+}
+
+/**
+ * Table of contents filtered to one storyline, e.g. /novel/BlindOrbit?pov=lin-ya-ting
+ */
+export function getStorylineUrl(novel: NovelConfig, storyline: Storyline): string {
+  return `${getNovelUrl(novel)}?${storyline.type}=${encodeURIComponent(storyline.key)}`;
+}
+
+export function isSameStoryline(a: Storyline, b: Storyline): boolean {
+  return a.type === b.type && a.key === b.key;
+}
@@ -0,0 +1,154 @@
+import {
+  getNovelUrl,
+  getProjectName,
+  getNovelChapters,
+  getChapterKey,
+  getSceneUrls,
+  type Chapter,
+  type NovelConfig,
+} from './novels';
+
+/**
+ * Scene datelines extracted by `novels.js sync` (see scripts/lib/timeline.js)
+ */
+export interface TimelineScene {
+  /** Chapter file name */
+  file: string;
+  /** Heading text, or null for a chapter placed as a whole */
+  heading: string | null;
+  dateline: string | null;
+  title: string | null;
+  /** ISO instant, or null when the dateline couldn't be placed */
+  time: string | null;
+  precision: 'year' | 'month' | 'day' | 'time';
+  /** UTC offset (minutes) of the scene's own zone */
+  offset: number;
+}
+
+export interface TimelinePhase {
+  title: string;
+  period: string | null;
+  summary: string | null;
+  start: string | null;
+  end: string | null;
+}
+
+export interface Timeline {
+  tHour: string | null;
+  /** UTC offset (minutes) story times are shown in */
+  offset: number;
+  phases: TimelinePhase[];
+  scenes: TimelineScene[];
+}
+
+export interface PlacedScene extends TimelineScene {
+  time: string;
+  chapter: Chapter;
+  url: string;
+}
+
+// A glob rather than an import: timeline.json only exists after a sync
+const timelineData = Object.values(
+  import.meta.glob<Record<string, Timeline>>('../data/timeline.json', { eager: true, import: 'default' })
+)[0] ?? {};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export function getTimeline(novel: NovelConfig): Timeline | null {
+  return timelineData[getProjectName(novel)] ?? null;
+}
+
+export function getTimelineUrl(novel: NovelConfig): string {
+  return `${getNovelUrl(novel)}/timeline`;
+}
+
+/**
+ * Scenes of released chapters in story-time order, linked to their headings
+ *
+ * Scenes at the same time keep reading order.
+ */
+export async function getTimelineScenes(novel: NovelConfig, timeline: Timeline): Promise<PlacedScene[]> {
+  const scenes: (PlacedScene & { rank: number })[] = [];
+
+  for (const [chapterIndex, chapter] of (await getNovelChapters(novel)).entries()) {
+    const key = getChapterKey(chapter.filePath ?? chapter.id);
+    const chapterScenes = timeline.scenes.filter(scene => getChapterKey(scene.file) === key);
+    if (chapterScenes.length === 0) continue;
+
+    const urls = await getSceneUrls(novel, chapter, chapterScenes.map(scene => scene.heading));
+    for (const [sceneIndex, scene] of chapterScenes.entries()) {
+      if (scene.time) {
+        scenes.push({ ...scene, time: scene.time, chapter, url: urls[sceneIndex], rank: chapterIndex * 1000 + sceneIndex });
+      }
+    }
+  }
+
+  return scenes
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time) || a.rank - b.rank)
+    .map(({ rank, ...scene }) => scene);
+}
+
+/**
+ * Released chapters none of whose scenes could be placed in story time
+ */
+export async function getUnplacedChapters(novel: NovelConfig, scenes: PlacedScene[]): Promise<Chapter[]> {
+  const placed = new Set(scenes.map(scene => scene.chapter.id));
+  return (await getNovelChapters(novel)).filter(chapter => !placed.has(chapter.id));
+}
+
+/**
+ * Phase a time falls in: the last one starting at or before it (null
+ * before the first phase)
+ */
+export function getPhaseIndex(timeline: Timeline, time: string): number | null {
+  let found: number | null = null;
+  timeline.phases.forEach((phase, index) => {
+    if (phase.start && Date.parse(phase.start) <= Date.parse(time)) found = index;
+  });
+  return found;
+}
+
+// Wall-clock fields of an instant at a UTC offset
+function localDate(time: string, offset: number): Date {
+  return new Date(Date.parse(time) + offset * 60 * 1000);
+}
+
+/**
+ * Day (or month, or year) of a scene, e.g. "2028年11月10日", "2027年2月"
+ */
+export function formatStoryDate(scene: TimelineScene & { time: string }, offset: number): string {
+  const date = localDate(scene.time, offset);
+  const year = `${date.getUTCFullYear()}年`;
+  if (scene.precision === 'year') return year;
+  const month = `${year}${date.getUTCMonth() + 1}月`;
+  if (scene.precision === 'month') return month;
+  return `${month}${date.getUTCDate()}日`;
+}
+
+/**
+ * Clock time of a scene, e.g. "21:05"; null when only its day is known
+ */
+export function formatStoryTime(scene: TimelineScene & { time: string }, offset: number): string | null {
+  if (scene.precision !== 'time') return null;
+  return localDate(scene.time, offset).toISOString().slice(11, 16);
+}
+
+/**
+ * Day relative to T-Hour, e.g. "T-Hour 當天", "T+3天", "T-2天"
+ */
+export function formatRelativeDay(timeline: Timeline, scene: TimelineScene & { time: string }): string | null {
+  if (!timeline.tHour || scene.precision === 'year' || scene.precision === 'month') return null;
+  const day = (time: string) => Math.floor(localDate(time, timeline.offset).getTime() / DAY);
+  const days = day(scene.time) - day(timeline.tHour);
+  if (days === 0) return 'T-Hour 當天';
+  return days > 0 ? `T+${days}天` : `T${days}天`;
+}
+
+/**
+ * Zone story times are shown in, e.g. "UTC+8"
+ */
+export function formatZone(offset: number): string {
+  const hours = Math.trunc(Math.abs(offset) / 60);
+  const minutes = Math.abs(offset) % 60;
+  return `UTC${offset < 0 ? '-' : '+'}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
@@ -0,0 +1,132 @@
+import type { AstroIntegration } from 'astro';
+import { readdir, readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import * as OpenCC from 'opencc-js/t2cn';
+import { ZH_HANS_PREFIX, type ZhHansEdition } from './zh-hans';
+
+/**
+ * Astro integration writing the zh-Hans edition: once the site is built,
+ * every page under /novel/{project} of a novel in src/data/zh-hans.json is
+ * converted to Simplified Chinese and written under /zh-hans/novel/{project}
+ *
+ * Text and human-readable attributes are converted with OpenCC's bundled
+ * Taiwan-to-mainland dictionaries (phrases such as 網路 → 网络 included),
+ * after the novel's overrides. Links to mirrored pages are pointed at the
+ * mirror; scripts, styles and everything else are copied as they are.
+ */
+
+type Converter = (text: string) => string;
+
+// Tags and the parts of the page left as they are
+const TOKEN_REGEX = /(<script\b[\s\S]*?<\/script>|<style\b[\s\S]*?<\/style>|<!--[\s\S]*?-->|<[^>]*>)/;
+const TEXT_ATTRIBUTE_REGEX = /(\s(?:title|alt|aria-label|placeholder|content|data-[\w-]+)=")([^"]*)"/g;
+// A site path at the start of an attribute value, also inside JSON in one
+const NOVEL_PATH_REGEX = /(?<=="|&#34;|&quot;)\/novel\/[^"&#?\s]*/g;
+const EDITION_TOGGLE_REGEX = /<a class="edition-toggle"[^>]*>[^<]*<\/a>/;
+
+/**
+ * Traditional to Simplified conversion where override phrases (longest
+ * match first) take precedence over the dictionaries
+ */
+export function createZhHansConverter(overrides: [string, string][] = []): Converter {
+  const base = OpenCC.Converter({ from: 'twp', to: 'cn' });
+  if (overrides.length === 0) return base;
+
+  const trie = new OpenCC.Trie();
+  for (const [from, to] of overrides) trie.addWord(from, to);
+
+  return text => {
+    let result = '';
+    let start = 0;
+    for (let i = 0; i < text.length;) {
+      const match = trie.matchPrefix(text, i);
+      if (match) {
+        result += base(text.slice(start, i)) + match.value;
+        i = start = match.end;
+      } else {
+        i++;
+      }
+    }
+    return result + base(text.slice(start));
+  };
+}
+
+/**
+ * Route of a built page, e.g. "chap_01/index.html" → "/novel/BlindOrbit/chap_01"
+ */
+function getRoute(project: string, page: string): string {
+  const path = page.replace(/(?:^|\/)index\.html$/, '').replace(/\.html$/, '');
+  return `/novel/${project}${path ? `/${path}` : ''}`;
+}
+
+async function findPages(dir: string, prefix = ''): Promise<string[]> {
+  const pages: string[] = [];
+  for (const entry of await readdir(join(dir, prefix), { withFileTypes: true })) {
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) pages.push(...await findPages(dir, path));
+    else if (entry.name.endsWith('.html')) pages.push(path);
+  }
+  return pages;
+}
+
+/**
+ * The zh-Hans version of a built page
+ *
+ * @param route Route of the page, for the link back to the original
+ * @param isMirrored Whether a site path has a zh-Hans version to link to
+ */
+export function convertPage(html: string, convert: Converter, route: string, isMirrored: (path: string) => boolean): string {
+  const converted = html
+    .split(TOKEN_REGEX)
+    .map((part, index) => {
+      if (index % 2 === 0) return convert(part);
+      if (/^<(?:script|style|!--)/i.test(part)) return part;
+      return part
+        .replace(TEXT_ATTRIBUTE_REGEX, (_, name: string, value: string) => `${name}${convert(value)}"`)
+        .replace(NOVEL_PATH_REGEX, path => (isMirrored(path.replace(/\/$/, '')) ? `${ZH_HANS_PREFIX}${path}` : path));
+    })
+    .join('');
+
+  return converted
+    .replace(/<html([^>]*) lang="[^"]*"/, '<html$1 lang="zh-Hans"')
+    .replace(/Noto\+(Sans|Serif)\+TC/g, 'Noto+$1+SC')
+    .replace(EDITION_TOGGLE_REGEX, `<a class="edition-toggle" href="${route}" hreflang="zh-Hant" lang="zh-Hant">繁體</a>`);
+}
+
+export default function zhHansEdition(): AstroIntegration {
+  let root: URL;
+
+  return {
+    name: 'zh-hans-edition',
+    hooks: {
+      'astro:config:done': ({ config }) => {
+        root = config.root;
+      },
+      'astro:build:done': async ({ dir, logger }) => {
+        const dataPath = fileURLToPath(new URL('src/data/zh-hans.json', root));
+        if (!existsSync(dataPath)) return;
+        const data: Record<string, ZhHansEdition> = JSON.parse(await readFile(dataPath, 'utf-8'));
+        const outDir = fileURLToPath(dir);
+
+        for (const [project, { overrides }] of Object.entries(data)) {
+          const novelDir = join(outDir, 'novel', project);
+          if (!existsSync(novelDir)) continue;
+
+          const pages = await findPages(novelDir);
+          const routes = new Set(pages.map(page => getRoute(project, page)));
+          const convert = createZhHansConverter(overrides);
+
+          for (const page of pages) {
+            const html = await readFile(join(novelDir, page), 'utf-8');
+            const target = join(outDir, ZH_HANS_PREFIX, 'novel', project, page);
+            await mkdir(dirname(target), { recursive: true });
+            await writeFile(target, convertPage(html, convert, getRoute(project, page), path => routes.has(path)));
+          }
+          logger.info(`${project}: ${pages.length} pages in ${ZH_HANS_PREFIX}/novel/${project}`);
+        }
+      },
+    },
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * The Simplified Chinese (zh-Hans) edition: novels with a `zhHans` config
+ * are mirrored under /zh-hans/novel/{project} when the site is built (see
+ * zh-hans-edition.ts)
+ */
+
+export interface ZhHansEdition {
+  /** [Traditional, Simplified] phrases that override the dictionaries */
+  overrides: [string, string][];
+}
+
+export const ZH_HANS_PREFIX = '/zh-hans';
+
+// A glob rather than an import: zh-hans.json only exists after a sync
+const zhHansData = Object.values(
+  import.meta.glob<Record<string, ZhHansEdition>>('../data/zh-hans.json', { eager: true, import: 'default' })
+)[0] ?? {};
+
+export function hasZhHansEdition(project: string): boolean {
+  return project in zhHansData;
+}
+
+export function getZhHansUrl(url: string): string {
+  return `${ZH_HANS_PREFIX}${url}`;
+}
+
+/**
+ * Both editions of a novel page, or null when its novel has no zh-Hans edition
+ */
+export function getEditionUrls(pathname: string): { zhHant: string; zhHans: string } | null {
+  const project = pathname.match(/^\/novel\/([^/]+)/)?.[1];
+  if (!project || !hasZhHansEdition(decodeURIComponent(project))) return null;
+  return { zhHant: pathname, zhHans: getZhHansUrl(pathname) };
+}
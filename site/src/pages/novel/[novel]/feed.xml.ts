@@ -0,0 +1,14 @@
+import type { APIContext } from 'astro';
+import { novels, getProjectName, type NovelConfig } from '../../../lib/novels';
+import { renderNovelFeed } from '../../../lib/feeds';
+
+export function getStaticPaths() {
+  return novels.map(novel => ({
+    params: { novel: getProjectName(novel) },
+    props: { novel },
+  }));
+}
+
+export async function GET({ props, site }: APIContext<{ novel: NovelConfig }>) {
+  return renderNovelFeed(props.novel, site!);
+}
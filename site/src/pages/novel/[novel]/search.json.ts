@@ -0,0 +1,16 @@
+import type { APIContext } from 'astro';
+import { novels, getProjectName, type NovelConfig } from '../../../lib/novels';
+import { getNovelSearchIndex } from '../../../lib/search-index';
+
+export function getStaticPaths() {
+  return novels.map(novel => ({
+    params: { novel: getProjectName(novel) },
+    props: { novel },
+  }));
+}
+
+export async function GET({ props }: APIContext<{ novel: NovelConfig }>) {
+  return new Response(JSON.stringify(await getNovelSearchIndex(props.novel)), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
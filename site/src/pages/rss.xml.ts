@@ -0,0 +1,6 @@
+import type { APIContext } from 'astro';
+import { renderSiteFeed } from '../lib/feeds';
+
+export async function GET({ site }: APIContext) {
+  return renderSiteFeed(site!);
+}